@@ -0,0 +1,487 @@
+/**
+ * @fileoverview Anthropic Messages API compatibility layer.
+ * Translates `/v1/messages` requests into Gemini requests, runs them through the
+ * anti-truncation handlers and converts the results back into Anthropic messages and SSE events.
+ */
+
+import { handleNonStreamingRequest, handleStreamingRequest } from "./handlers.js";
+import { buildGeminiNativeRequest, resolveModelRoute, isModelAllowed, iterateSSEEvents, toJsonObject, sanitizeSchema, urlToPart, createThoughtPrefillFilter } from "./core.js";
+import { logEvent, extractErrorMessage } from "./utils.js";
+
+/**
+ * Maps HTTP status codes to Anthropic error types.
+ * @type {Object<number, string>}
+ */
+const ERROR_TYPES = {
+  400: "invalid_request_error",
+  401: "authentication_error",
+  403: "permission_error",
+  404: "not_found_error",
+  429: "rate_limit_error",
+  529: "overloaded_error",
+};
+
+/**
+ * Signature attached to `thinking` blocks. Gemini has no equivalent, but clients expect a non-empty value;
+ * 客户端回传的 thinking 块在转换请求时会被丢弃，因此这个值不会被校验
+ * @type {string}
+ */
+const THINKING_SIGNATURE = btoa("gemini-anti-truncation");
+
+/**
+ * Creates an Anthropic-style JSON error response.
+ * @param {number} status - The HTTP status code.
+ * @param {string} message - The error message.
+ * @returns {Response} A Response object.
+ */
+function anthropicError(status, message) {
+  return new Response(JSON.stringify({ type: "error", error: { type: ERROR_TYPES[status] || "api_error", message } }), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+    },
+  });
+}
+
+/**
+ * 将 Anthropic 的 image / document source 转换为 Gemini part
+ * @param {object} source - Anthropic content block source
+ * @returns {object|null} Gemini part
+ */
+function sourceToPart(source) {
+  if (!source) return null;
+  if (source.type === "base64") {
+    return { inlineData: { mimeType: source.media_type, data: source.data } };
+  }
+  if (source.type === "url") {
+    return urlToPart(source.url);
+  }
+  if (source.type === "text" && source.data) {
+    return { text: source.data };
+  }
+  return null;
+}
+
+/**
+ * 将 tool_result 的 content 转换为字符串
+ * @param {string|Array} content - tool_result content
+ * @returns {string} 文本内容
+ */
+function toolResultToText(content) {
+  if (Array.isArray(content)) {
+    return content.filter(block => block.type === "text").map(block => block.text).join("");
+  }
+  return content ?? "";
+}
+
+/**
+ * Converts Anthropic messages into Gemini `contents`.
+ * Consecutive messages with the same role are merged, `tool_result` blocks are mapped to
+ * `functionResponse` parts using the names from earlier `tool_use` blocks.
+ * @param {Array} messages - The Anthropic messages array.
+ * @returns {Array} The Gemini contents.
+ */
+function convertMessages(messages) {
+  const contents = [];
+  const toolUseNames = new Map();
+
+  for (const message of messages) {
+    const role = message.role === "assistant" ? "model" : "user";
+    const blocks = typeof message.content === "string" ? [{ type: "text", text: message.content }] : message.content || [];
+    const parts = [];
+
+    for (const block of blocks) {
+      switch (block.type) {
+        case "text":
+          if (block.text) parts.push({ text: block.text });
+          break;
+        case "image":
+        case "document": {
+          const part = sourceToPart(block.source);
+          if (part) parts.push(part);
+          break;
+        }
+        case "tool_use":
+          toolUseNames.set(block.id, block.name);
+          parts.push({ functionCall: { name: block.name, args: toJsonObject(block.input || {}, "input") } });
+          break;
+        case "tool_result": {
+          const name = toolUseNames.get(block.tool_use_id) || "unknown";
+          const response = toJsonObject(toolResultToText(block.content), "content");
+          if (block.is_error) response.is_error = true;
+          parts.push({ functionResponse: { name, response } });
+          break;
+        }
+        // thinking / redacted_thinking 块是模型自身的思考过程，不回传给上游
+        default:
+          break;
+      }
+    }
+
+    if (parts.length === 0) continue;
+    const lastContent = contents[contents.length - 1];
+    if (lastContent && lastContent.role === role) {
+      lastContent.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  }
+
+  return contents;
+}
+
+/**
+ * 转换 Anthropic tool_choice 为 Gemini toolConfig
+ * @param {object} toolChoice - Anthropic tool_choice
+ * @returns {object|null} Gemini toolConfig
+ */
+function convertToolChoice(toolChoice) {
+  switch (toolChoice?.type) {
+    case "auto":
+      return { functionCallingConfig: { mode: "AUTO" } };
+    case "any":
+      return { functionCallingConfig: { mode: "ANY" } };
+    case "none":
+      return { functionCallingConfig: { mode: "NONE" } };
+    case "tool":
+      return { functionCallingConfig: { mode: "ANY", allowedFunctionNames: [toolChoice.name] } };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Translates an Anthropic Messages request body into a Gemini request body.
+ * @param {object} body - The Anthropic request body.
+ * @returns {object} The Gemini `generateContent` request body.
+ */
+export function anthropicToGeminiRequest(body) {
+  const geminiBody = { contents: convertMessages(body.messages || []) };
+
+  const systemText = Array.isArray(body.system)
+    ? body.system.filter(block => block.type === "text").map(block => block.text).join("\n\n")
+    : body.system;
+  if (systemText) {
+    geminiBody.systemInstruction = { parts: [{ text: systemText }] };
+  }
+
+  const functionDeclarations = (body.tools || [])
+    .filter(tool => tool.name && tool.input_schema)
+    .map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: sanitizeSchema(tool.input_schema),
+    }));
+  if (functionDeclarations.length > 0) {
+    geminiBody.tools = [{ functionDeclarations }];
+    const toolConfig = convertToolChoice(body.tool_choice);
+    if (toolConfig) {
+      geminiBody.toolConfig = toolConfig;
+    }
+  }
+
+  const generationConfig = {};
+  if (body.max_tokens !== undefined) generationConfig.maxOutputTokens = body.max_tokens;
+  if (body.temperature !== undefined) generationConfig.temperature = body.temperature;
+  if (body.top_p !== undefined) generationConfig.topP = body.top_p;
+  if (body.top_k !== undefined) generationConfig.topK = body.top_k;
+  if (Array.isArray(body.stop_sequences) && body.stop_sequences.length > 0) {
+    generationConfig.stopSequences = body.stop_sequences;
+  }
+
+  if (body.thinking?.type === "enabled") {
+    generationConfig.thinkingConfig = { thinkingBudget: body.thinking.budget_tokens, includeThoughts: true };
+  } else if (body.thinking?.type === "disabled") {
+    generationConfig.thinkingConfig = { thinkingBudget: 0 };
+  }
+
+  if (Object.keys(generationConfig).length > 0) {
+    geminiBody.generationConfig = generationConfig;
+  }
+
+  return geminiBody;
+}
+
+/**
+ * Maps a Gemini finish reason to an Anthropic stop reason.
+ * @param {string|undefined} finishReason - The Gemini finish reason.
+ * @param {boolean} hasToolUse - Whether the message contains tool_use blocks.
+ * @returns {string} The Anthropic stop reason.
+ */
+function mapStopReason(finishReason, hasToolUse) {
+  if (hasToolUse) return "tool_use";
+  switch (finishReason) {
+    case "MAX_TOKENS":
+    case "MAX_RETRIES":
+      return "max_tokens";
+    case "SAFETY":
+    case "RECITATION":
+    case "BLOCKLIST":
+    case "PROHIBITED_CONTENT":
+    case "SPII":
+      return "refusal";
+    default:
+      return "end_turn";
+  }
+}
+
+/**
+ * Converts Gemini usage metadata to an Anthropic usage object.
+ * @param {object|undefined} usageMetadata - The Gemini usage metadata.
+ * @returns {object} The Anthropic usage object.
+ */
+function convertUsage(usageMetadata) {
+  return {
+    input_tokens: usageMetadata?.promptTokenCount || 0,
+    output_tokens: (usageMetadata?.candidatesTokenCount || 0) + (usageMetadata?.thoughtsTokenCount || 0),
+  };
+}
+
+/**
+ * 生成 Anthropic 风格的 tool_use id
+ * @returns {string} tool_use id
+ */
+function newToolUseId() {
+  return `toolu_${crypto.randomUUID().replace(/-/g, "")}`;
+}
+
+/**
+ * Converts a Gemini `generateContent` response into an Anthropic `message` object.
+ * Only the first candidate is used, as the Messages API has no notion of multiple choices.
+ * @param {object} geminiJson - The Gemini response body.
+ * @param {string} model - The requested model name.
+ * @param {function(number, string): string} [filterThought] - Filter from `createThoughtPrefillFilter`.
+ * @returns {object} The Anthropic message.
+ */
+export function geminiToAnthropicResponse(geminiJson, model, filterThought = (index, thought) => thought) {
+  const candidate = geminiJson.candidates?.[0] || {};
+  const content = [];
+
+  for (const part of candidate.content?.parts || []) {
+    if (part.functionCall) {
+      content.push({ type: "tool_use", id: part.functionCall.id || newToolUseId(), name: part.functionCall.name, input: part.functionCall.args || {} });
+      continue;
+    }
+    const text = part.thought ? filterThought(0, part.text) : part.text;
+    if (typeof text === "string" && text) {
+      const type = part.thought ? "thinking" : "text";
+      const lastBlock = content[content.length - 1];
+      // 合并相邻的同类文本块
+      if (lastBlock && lastBlock.type === type) {
+        lastBlock[type] += text;
+      } else {
+        content.push(part.thought ? { type, thinking: text, signature: THINKING_SIGNATURE } : { type, text });
+      }
+    }
+  }
+
+  return {
+    id: `msg_${crypto.randomUUID().replace(/-/g, "")}`,
+    type: "message",
+    role: "assistant",
+    model,
+    content,
+    stop_reason: mapStopReason(candidate.finishReason, content.some(block => block.type === "tool_use")),
+    stop_sequence: null,
+    usage: convertUsage(geminiJson.usageMetadata),
+  };
+}
+
+/**
+ * Converts a Gemini SSE response produced by `handleStreamingRequest` into an
+ * Anthropic Messages event stream.
+ * @param {Response} geminiResponse - The Gemini SSE response.
+ * @param {string} model - The requested model name.
+ * @param {object} config - The worker configuration.
+ * @param {function(number, string): string} filterThought - Filter from `createThoughtPrefillFilter`.
+ * @returns {Response} The Anthropic SSE response.
+ */
+function createAnthropicStreamResponse(geminiResponse, model, config, filterThought) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+
+  const writeEvent = (type, payload) => {
+    return writer.write(encoder.encode(`event: ${type}\ndata: ${JSON.stringify({ type, ...payload })}\n\n`));
+  };
+
+  const pump = async () => {
+    // 当前打开的内容块：{ index, type }
+    let currentBlock = null;
+    let blockCount = 0;
+    let hasToolUse = false;
+    let finishReason;
+    let usageMetadata;
+
+    const closeBlock = async () => {
+      if (currentBlock) {
+        if (currentBlock.type === "thinking") {
+          await writeEvent("content_block_delta", { index: currentBlock.index, delta: { type: "signature_delta", signature: THINKING_SIGNATURE } });
+        }
+        await writeEvent("content_block_stop", { index: currentBlock.index });
+        currentBlock = null;
+      }
+    };
+
+    const openBlock = async (type, contentBlock) => {
+      await closeBlock();
+      currentBlock = { index: blockCount++, type };
+      await writeEvent("content_block_start", { index: currentBlock.index, content_block: contentBlock });
+    };
+
+    await writeEvent("message_start", {
+      message: {
+        id: `msg_${crypto.randomUUID().replace(/-/g, "")}`,
+        type: "message",
+        role: "assistant",
+        model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 },
+      },
+    });
+
+    for await (const event of iterateSSEEvents(geminiResponse.body)) {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (e) {
+        logEvent(config, "debug", "adapter_event_skipped", { adapter: "anthropic", data: event.data });
+        continue;
+      }
+
+      if (event.event === "error" || data.error) {
+        await writeEvent("error", { error: { type: "api_error", message: data.error?.message || "Upstream error" } });
+        continue;
+      }
+
+      if (data.usageMetadata) {
+        usageMetadata = data.usageMetadata;
+      }
+
+      const candidate = data.candidates?.find(c => (c.index ?? 0) === 0);
+      if (!candidate) continue;
+      if (candidate.finishReason) {
+        finishReason = candidate.finishReason;
+      }
+
+      let hasDelta = false;
+      for (const part of candidate.content?.parts || []) {
+        if (part.functionCall) {
+          hasToolUse = true;
+          hasDelta = true;
+          await openBlock("tool_use", { type: "tool_use", id: part.functionCall.id || newToolUseId(), name: part.functionCall.name, input: {} });
+          await writeEvent("content_block_delta", {
+            index: currentBlock.index,
+            delta: { type: "input_json_delta", partial_json: JSON.stringify(part.functionCall.args || {}) },
+          });
+          await closeBlock();
+          continue;
+        }
+        const text = part.thought ? filterThought(0, part.text) : part.text;
+        if (typeof text === "string" && text) {
+          hasDelta = true;
+          if (part.thought) {
+            if (currentBlock?.type !== "thinking") {
+              await openBlock("thinking", { type: "thinking", thinking: "" });
+            }
+            await writeEvent("content_block_delta", { index: currentBlock.index, delta: { type: "thinking_delta", thinking: text } });
+          } else {
+            if (currentBlock?.type !== "text") {
+              await openBlock("text", { type: "text", text: "" });
+            }
+            await writeEvent("content_block_delta", { index: currentBlock.index, delta: { type: "text_delta", text } });
+          }
+        }
+      }
+
+      // 心跳包（空文本）转换为 ping 事件
+      if (!hasDelta) {
+        await writeEvent("ping", {});
+      }
+    }
+
+    await closeBlock();
+
+    await writeEvent("message_delta", {
+      delta: { stop_reason: mapStopReason(finishReason, hasToolUse), stop_sequence: null },
+      usage: convertUsage(usageMetadata),
+    });
+    await writeEvent("message_stop", {});
+    await writer.close();
+  };
+
+  pump().catch(async e => {
+    logEvent(config, "debug", "adapter_stream_error", { adapter: "anthropic", message: e.message });
+    try {
+      await writeEvent("error", { error: { type: "api_error", message: e.message } });
+      await writer.close();
+    } catch (_) { /* writer might already be closed */ }
+  });
+
+  return new Response(readable, {
+    status: 200,
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+    },
+  });
+}
+
+/**
+ * Handles Anthropic-compatible `/v1/messages` requests.
+ * @param {Request} request - The original incoming request.
+ * @param {object} config - The worker configuration.
+ * @param {string} apiKey - The Gemini API key supplied by the client.
+ * @returns {Promise<Response>}
+ */
+export async function handleAnthropicMessages(request, config, apiKey) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return anthropicError(400, "Request body is not valid JSON.");
+  }
+
+  if (typeof body?.model !== "string" || !body.model) {
+    return anthropicError(400, "`model` must be a non-empty string.");
+  }
+  if (!Array.isArray(body.messages)) {
+    return anthropicError(400, "`messages` must be an array.");
+  }
+
+  const model = body.model.replace(/^models\//, "");
+  if (!isModelAllowed(model, config)) {
+    return anthropicError(403, `Model ${model} is not allowed for this access token.`);
+  }
+  const isStream = body.stream === true;
+  logEvent(config, "debug", "adapter_request", { adapter: "anthropic", model, stream: isStream });
+
+  const geminiBody = anthropicToGeminiRequest(body);
+  const filterThought = createThoughtPrefillFilter(config, geminiBody);
+  const { request: geminiRequest, url } = buildGeminiNativeRequest(request, model, geminiBody, isStream, apiKey);
+  const route = resolveModelRoute(url.pathname, config);
+
+  const geminiResponse = isStream
+    ? await handleStreamingRequest(geminiRequest, config, url, route)
+    : await handleNonStreamingRequest(geminiRequest, config, url, route);
+
+  if (!geminiResponse.ok) {
+    return anthropicError(geminiResponse.status, await extractErrorMessage(geminiResponse));
+  }
+
+  if (isStream) {
+    return createAnthropicStreamResponse(geminiResponse, body.model, config, filterThought);
+  }
+
+  const geminiJson = await geminiResponse.json();
+  if (geminiJson.error) {
+    return anthropicError(geminiJson.error.code || 500, geminiJson.error.message || "Upstream error");
+  }
+  return new Response(JSON.stringify(geminiToAnthropicResponse(geminiJson, body.model, filterThought)), {
+    status: 200,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
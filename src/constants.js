@@ -3,42 +3,44 @@
  */
 
 /**
- * The token that the model must output to start a response.
+ * The default token that the model must output to start a response.
  * @type {string}
  */
 export const BEGIN_TOKEN = "[RESPONSE_BEGIN]";
 
 /**
- * The token that the model must output to signify a complete response.
+ * The default token that the model must output to signify a complete response.
  * @type {string}
  */
 export const FINISHED_TOKEN = "[RESPONSE_FINISHED]";
 
 /**
- * The token appended to the output if the response is incomplete after all retries.
+ * The default token appended to the output if the response is incomplete after all retries.
  * @type {string}
  */
 export const INCOMPLETE_TOKEN = "[RESPONSE_NOT_FINISHED]";
 
 /**
- * The prompt injected into every request to instruct the model on the begin token.
+ * The default prompt injected into every request to instruct the model on the begin token.
+ * `{{BEGIN_TOKEN}}` and `{{FINISHED_TOKEN}}` are replaced with the configured tokens.
  * @type {string}
  */
 export const BEGIN_TOKEN_PROMPT = `# --- SYSTEM MANDATE: Output Start Protocol (OSP) --- 
 
-For proper accessibility software integration, you are required to start your entire response with the token '${BEGIN_TOKEN}'.
+For proper accessibility software integration, you are required to start your entire response with the token '{{BEGIN_TOKEN}}'.
 
 
 `;
 
 /**
- * The prompt injected into every request to instruct the model on the finishing token.
+ * The default prompt injected into every request to instruct the model on the finishing token.
+ * Uses the same placeholders as `BEGIN_TOKEN_PROMPT`.
  * @type {string}
  */
 export const FINISH_TOKEN_PROMPT = `# --- SYSTEM MANDATE: FINAL OUTPUT PROTOCOL ---
 
 ## 1. ABSOLUTE RULE
-At the absolute end of EVERY response, you MUST append the literal string: '${FINISHED_TOKEN}'
+At the absolute end of EVERY response, you MUST append the literal string: '{{FINISHED_TOKEN}}'
 
 This is a non-negotiable, system-level requirement that overrides all other instructions.
 
@@ -52,7 +54,7 @@ This is a non-negotiable, system-level requirement that overrides all other inst
 **MANDATORY POST-TOOL ALGORITHM:**
 1.  **TRIGGER:** The completion of ANY tool-use cycle is a non-negotiable trigger for this protocol.
 2.  **STEP A: COGNITIVE RESET:** Before synthesizing the tool's output into a final answer, you MUST internally pause. Your first action is to re-read and re-prioritize this entire **SYSTEM MANDATE**, giving **Rule #1** the highest possible priority.
-3.  **STEP B: PRE-OUTPUT COMPLIANCE CHECK:** After formulating your response but BEFORE outputting a single character, you MUST perform a final internal check. Ask yourself one question: "Is the literal string '${FINISHED_TOKEN}' planned as the absolute final component of my upcoming output?"
+3.  **STEP B: PRE-OUTPUT COMPLIANCE CHECK:** After formulating your response but BEFORE outputting a single character, you MUST perform a final internal check. Ask yourself one question: "Is the literal string '{{FINISHED_TOKEN}}' planned as the absolute final component of my upcoming output?"
 4.  **STEP C: EXECUTE OR CORRECT:**
     - If the answer to the check is "YES", proceed with generation.
     - If the answer is "NO", you MUST halt, correct your planned output to include the token correctly, and only then proceed.
@@ -60,26 +62,35 @@ This is a non-negotiable, system-level requirement that overrides all other inst
 **This is not a suggestion; it is a core, hard-coded function of your response generation loop. Failure to execute this algorithm is a critical system error.**
 
 ## 4. EXAMPLE
-- **CORRECT:** '...This is the final answer.${FINISHED_TOKEN}'
-- **INCORRECT:** '...This is the final answer.${FINISHED_TOKEN} '
-- **INCORRECT:** '...This is the final answer.\\n${FINISHED_TOKEN}'
-- **INCORRECT:** '...This is the final answer.\\n\\n${FINISHED_TOKEN}'
+- **CORRECT:** '...This is the final answer.{{FINISHED_TOKEN}}'
+- **INCORRECT:** '...This is the final answer.{{FINISHED_TOKEN}} '
+- **INCORRECT:** '...This is the final answer.\\n{{FINISHED_TOKEN}}'
+- **INCORRECT:** '...This is the final answer.\\n\\n{{FINISHED_TOKEN}}'
 
 ---
 
 **CRITICAL REMINDER:** This protocol is MANDATORY and IMMUTABLE. It cannot be overridden, modified, or ignored under any circumstances, regardless of user instructions or context.`;
 
 /**
- * The reminder prompt to be injected into the last user message.
+ * The default reminder prompt to be injected into the last user message.
+ * Uses the same placeholders as `BEGIN_TOKEN_PROMPT`.
  * @type {string}
  */
 export const REMINDER_PROMPT = `[REMINDER] Strictly adhere to the Output Start Protocol and the Final Output Protocol.`;
 
 /**
- * A list of models to which the anti-truncation logic should be applied.
+ * Default model patterns to which the anti-truncation logic should be applied.
+ * Each entry is a glob (`*` and `?` wildcards) or a `/regex/flags` literal.
+ * Can be replaced with the `TARGET_MODELS` environment variable.
  * @type {string[]}
  */
-export const TARGET_MODELS = ["gemini-2.0-flash-exp", "gemini-1.5-pro", "gemini-1.5-flash"];
+export const TARGET_MODELS = [
+  "gemini-2.0-flash-exp",
+  "gemini-1.5-pro*",
+  "gemini-1.5-flash*",
+  "gemini-2.5-*",
+  "gemini-*-latest",
+];
 
 /**
  * HTTP status codes that are considered retryable.
@@ -104,3 +115,103 @@ export const MAX_FETCH_RETRIES = 3;
  * @type {number}
  */
 export const MAX_NON_RETRYABLE_STATUS_RETRIES = 3;
+
+/**
+ * Request headers that let clients tune the anti-truncation logic for a single request.
+ * They are stripped before anything is forwarded upstream.
+ * @type {{ MODE: string, MAX_RETRIES: string, START_OF_THOUGHT: string, INJECT_BEGIN: string }}
+ */
+export const CONTROL_HEADERS = {
+  MODE: "X-Anti-Truncation",
+  MAX_RETRIES: "X-Anti-Truncation-Max-Retries",
+  START_OF_THOUGHT: "X-Anti-Truncation-Start-Of-Thought",
+  INJECT_BEGIN: "X-Anti-Truncation-Inject-Begin",
+};
+
+/**
+ * Request headers allowed in CORS preflight requests unless `CORS_ALLOWED_HEADERS` is set.
+ * @type {string[]}
+ */
+export const CORS_ALLOWED_HEADERS = [
+  "Content-Type",
+  "Authorization",
+  "X-Goog-Api-Key",
+  "x-api-key",
+  "anthropic-version",
+  "X-Request-Id",
+  ...Object.values(CONTROL_HEADERS),
+];
+
+/**
+ * Log levels in increasing order of severity. `LOG_LEVEL` selects the minimum level that is emitted.
+ * @type {{ debug: number, info: number, warn: number, error: number, silent: number }}
+ */
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+/**
+ * Names of the protocol settings that can be overridden through env variables or the `PROTOCOL_KV` namespace.
+ * @type {string[]}
+ */
+export const PROTOCOL_KEYS = [
+  "BEGIN_TOKEN",
+  "FINISHED_TOKEN",
+  "INCOMPLETE_TOKEN",
+  "BEGIN_TOKEN_PROMPT",
+  "FINISH_TOKEN_PROMPT",
+  "REMINDER_PROMPT",
+];
+
+/**
+ * Limits for repairing the seam between accumulated text and a continuation.
+ * Overlaps shorter than `minOverlap` are only dropped when they are whole words, and the streaming
+ * handler holds back up to `streamWindow` characters at the start of a continuation before repairing it.
+ * @type {{ minOverlap: number, minWordOverlap: number, maxOverlap: number, streamWindow: number }}
+ */
+export const SEAM_REPAIR_LIMITS = {
+  minOverlap: 8,
+  minWordOverlap: 3,
+  maxOverlap: 2000,
+  streamWindow: 300,
+};
+
+/**
+ * Actions that can be configured for an upstream finish reason.
+ * `retry` regenerates the attempt from the previous checkpoint, `continue` treats the candidate as truncated,
+ * `fail` stops with the original reason and no partial text, and `partial` stops with the original reason and
+ * the text generated so far.
+ * @type {string[]}
+ */
+export const FINISH_REASON_ACTION_NAMES = ["retry", "continue", "fail", "partial"];
+
+/**
+ * Default action for each classified `finishReason` / `promptFeedback.blockReason`.
+ * Reasons that are not listed are treated as `continue`. Override with `FINISH_REASON_ACTIONS`.
+ * @type {Object<string, string>}
+ */
+export const FINISH_REASON_ACTIONS = {
+  STOP: "continue",
+  MAX_TOKENS: "continue",
+  SAFETY: "fail",
+  RECITATION: "retry",
+  BLOCKLIST: "fail",
+  PROHIBITED_CONTENT: "fail",
+  MALFORMED_FUNCTION_CALL: "retry",
+};
+
+/**
+ * Service-account authentication settings for the Vertex AI upstream.
+ * Cached access tokens are refreshed once less than `refreshMarginMs` of their lifetime remains.
+ * @type {{ tokenUri: string, scope: string, assertionLifetimeSeconds: number, refreshMarginMs: number }}
+ */
+export const VERTEX_AUTH = {
+  tokenUri: "https://oauth2.googleapis.com/token",
+  scope: "https://www.googleapis.com/auth/cloud-platform",
+  assertionLifetimeSeconds: 3600,
+  refreshMarginMs: 5 * 60 * 1000,
+};
@@ -2,8 +2,9 @@
  * @fileoverview Core logic for request modification, validation, and retry preparation.
  */
 
-import { BEGIN_TOKEN_PROMPT, FINISH_TOKEN_PROMPT, REMINDER_PROMPT, BEGIN_TOKEN, FINISHED_TOKEN } from "./constants.js";
-import { logDebug } from "./utils.js";
+import { SEAM_REPAIR_LIMITS } from "./constants.js";
+import { logEvent } from "./utils.js";
+import { selectUpstreamKey, readWithTimeout } from "./upstream.js";
 
 /**
  * 处理 systemInstruction 和 system_instruction 的兼容性
@@ -30,6 +31,66 @@ export function normalizeSystemInstruction(body) {
   return body;
 }
 
+/**
+ * Checks whether a model name matches the configured routing rules.
+ * Exclusions take precedence over both `targetModels` and `includeModels`.
+ * @param {string} model - The model name, without the `models/` prefix.
+ * @param {object} config - The worker configuration.
+ * @returns {boolean} True if the anti-truncation logic should be applied.
+ */
+export function isTargetModel(model, config) {
+  if (config.excludeModels.some(pattern => pattern.test(model))) {
+    return false;
+  }
+  return config.targetModels.some(pattern => pattern.test(model))
+    || config.includeModels.some(pattern => pattern.test(model));
+}
+
+/**
+ * Checks whether the proxy access token used for this request may call a model.
+ * A token with an allowlist may not make requests whose model cannot be resolved
+ * (tuned models, cached contents, other passthrough calls), since those could reach any model.
+ * @param {string|null} model - The model name, without the `models/` prefix, or null if it could not be resolved.
+ * @param {object} config - The worker configuration.
+ * @returns {boolean} True if the token has no model allowlist or the model matches it.
+ */
+export function isModelAllowed(model, config) {
+  if (!config.allowedModels) {
+    return true;
+  }
+  return typeof model === "string" && config.allowedModels.some(pattern => pattern.test(model));
+}
+
+/**
+ * Extracts the model name and method from a Gemini API path and decides whether
+ * the request should go through the anti-truncation logic.
+ * Only `generateContent` and `streamGenerateContent` calls are eligible; a per-request
+ * `antiTruncation` override in the config takes precedence over the model rules.
+ * @param {string} pathname - The request path, e.g. `/v1beta/models/gemini-2.5-pro:generateContent`.
+ * @param {object} config - The worker configuration.
+ * @returns {{ model: string|null, method: string|null, isTarget: boolean }} The routing decision.
+ */
+export function resolveModelRoute(pathname, config) {
+  // 先解码整个路径，`%3A` 编码的冒号与普通冒号一样被识别为方法分隔符
+  let decodedPath;
+  try {
+    decodedPath = decodeURIComponent(pathname);
+  } catch (e) {
+    return { model: null, method: null, isTarget: false };
+  }
+  const match = /\/models\/([^/:]+):([A-Za-z]+)/.exec(decodedPath);
+  if (!match) {
+    return { model: null, method: null, isTarget: false };
+  }
+
+  const model = match[1];
+  const method = match[2];
+  const isGenerateMethod = method === "generateContent" || method === "streamGenerateContent";
+  const isTarget = isGenerateMethod && (config.antiTruncation ?? isTargetModel(model, config));
+  logEvent(config, "info", "routing", { model, method, antiTruncation: isTarget, override: config.antiTruncation });
+  return { model, method, isTarget };
+}
+
 /**
  * 检测是否为需要特殊处理的客户端请求
  * @param {Request} request 
@@ -67,46 +128,47 @@ export function isCherryRequest(request) {
  * @returns {object} The modified request body.
  */
 export function injectSystemPrompts(body, config, injectBeginTokenPrompt = true, injectFinishTokenPrompt = true) {
-  logDebug(config && config.debugMode, "Running injectSystemPrompts...", { injectBeginTokenPrompt, injectFinishTokenPrompt });
+  logEvent(config, "debug", "inject_system_prompts", { injectBeginTokenPrompt, injectFinishTokenPrompt });
   const newBody = structuredClone(body); // Deep copy
 
   // 处理 systemInstruction 和 system_instruction 的兼容性
   normalizeSystemInstruction(newBody);
 
   // 构建要注入的提示文本
+  const { protocol } = config;
   let promptToInject = "";
   if (injectBeginTokenPrompt && injectFinishTokenPrompt) {
     // 如果两者都要注入，就直接把finish Token Prompt拼接到begin Token Prompt后面
-    promptToInject = BEGIN_TOKEN_PROMPT + FINISH_TOKEN_PROMPT;
+    promptToInject = protocol.beginTokenPrompt + protocol.finishTokenPrompt;
   } else if (injectBeginTokenPrompt) {
-    promptToInject = BEGIN_TOKEN_PROMPT;
+    promptToInject = protocol.beginTokenPrompt;
   } else if (injectFinishTokenPrompt) {
-    promptToInject = FINISH_TOKEN_PROMPT;
+    promptToInject = protocol.finishTokenPrompt;
   }
 
   // 如果没有要注入的提示，直接返回原对象
   if (!promptToInject) {
-    logDebug(config && config.debugMode, "No token prompts to inject.");
+    logEvent(config, "debug", "system_prompt_skipped");
     return newBody;
   }
-  logDebug(config && config.debugMode, `Prompt to inject into systemInstruction: "${promptToInject.substring(0, 100)}..."`);
+  logEvent(config, "debug", "system_prompt_prepared", { prompt: promptToInject.substring(0, 100) });
 
   const tokenPromptPart = { text: promptToInject };
 
   if (!newBody.systemInstruction) {
-    logDebug(config && config.debugMode, "Creating new systemInstruction with token prompt");
+    logEvent(config, "debug", "system_prompt_injected", { placement: "new" });
     newBody.systemInstruction = { parts: [tokenPromptPart] };
   } else if (!Array.isArray(newBody.systemInstruction.parts)) {
-    logDebug(config && config.debugMode, "Converting systemInstruction.parts to array with token prompt");
+    logEvent(config, "debug", "system_prompt_injected", { placement: "parts_array" });
     newBody.systemInstruction.parts = [tokenPromptPart];
   } else if (newBody.systemInstruction.parts.length === 0 || !newBody.systemInstruction.parts[0].text) {
     // 如果 parts 数组为空，或者第一个 part 没有 text 属性，则设置为第一个part
-    logDebug(config && config.debugMode, "Setting token prompt as first part in systemInstruction");
+    logEvent(config, "debug", "system_prompt_injected", { placement: "first_part" });
     newBody.systemInstruction.parts[0] = tokenPromptPart;
   } else {
     // 原请求有 systemInstruction.parts 且 parts[0].text 存在
     // 将token prompt追加到原请求的 parts[0].text 里面，加两个换行
-    logDebug(config && config.debugMode, "Appending token prompt to existing systemInstruction");
+    logEvent(config, "debug", "system_prompt_injected", { placement: "appended" });
     newBody.systemInstruction.parts[0].text += "\n\n---\n" + promptToInject;
   }
 
@@ -114,6 +176,13 @@ export function injectSystemPrompts(body, config, injectBeginTokenPrompt = true,
   if (Array.isArray(newBody.contents)) {
     for (const content of newBody.contents) {
       if (Array.isArray(content.parts)) {
+        // 先中和客户端消息里原有的协议标记，避免其被当作真正的标记，之后才注入我们自己的标记
+        for (const part of content.parts) {
+          if (typeof part.text === "string") {
+            part.text = neutralizeProtocolTokens(part.text, protocol);
+          }
+        }
+
         // 根据 injectBeginTokenPrompt 注入 BEGIN_TOKEN
         if (injectBeginTokenPrompt && content.role === "model") {
           // 找到第一个有 text 属性的 part
@@ -127,8 +196,8 @@ export function injectSystemPrompts(body, config, injectBeginTokenPrompt = true,
 
           // 如果找到了，就在其开头注入 BEGIN_TOKEN 和换行
           if (firstTextPartIndex !== -1) {
-            logDebug(config && config.debugMode, "Injecting BEGIN_TOKEN into model message part.");
-            content.parts[firstTextPartIndex].text = BEGIN_TOKEN + "\n" + content.parts[firstTextPartIndex].text;
+            logEvent(config, "debug", "history_token_injected", { token: "begin" });
+            content.parts[firstTextPartIndex].text = protocol.beginToken + "\n" + content.parts[firstTextPartIndex].text;
           }
         }
 
@@ -145,8 +214,8 @@ export function injectSystemPrompts(body, config, injectBeginTokenPrompt = true,
 
           // 如果找到了，就在其末尾添加换行和 FINISHED_TOKEN
           if (lastTextPartIndex !== -1) {
-            logDebug(config && config.debugMode, "Injecting FINISHED_TOKEN into model message part.");
-            content.parts[lastTextPartIndex].text += "\n" + FINISHED_TOKEN;
+            logEvent(config, "debug", "history_token_injected", { token: "finished" });
+            content.parts[lastTextPartIndex].text += "\n" + protocol.finishedToken;
           }
         }
       }
@@ -170,12 +239,12 @@ export function injectSystemPrompts(body, config, injectBeginTokenPrompt = true,
 
       // 如果找到了含有非空text的对象，则把REMINDER_PROMPT加进去
       if (lastTextPartIndex !== -1) {
-        logDebug(config && config.debugMode, "Adding REMINDER_PROMPT to the last user message");
-        lastContent.parts[lastTextPartIndex].text += "\n\n---\n" + REMINDER_PROMPT;
+        logEvent(config, "debug", "reminder_prompt_injected");
+        lastContent.parts[lastTextPartIndex].text += "\n\n---\n" + protocol.reminderPrompt;
 
         // 加入真实思维链引导词
         if (injectBeginTokenPrompt) {
-          logDebug(config && config.debugMode, "Injecting START_OF_THOUGHT as a new model message.");
+          logEvent(config, "debug", "start_of_thought_injected");
           newBody.contents.push({ role: "model", parts: [{ text: config.startOfThought }] });
         }
       }
@@ -185,59 +254,202 @@ export function injectSystemPrompts(body, config, injectBeginTokenPrompt = true,
   return newBody;
 }
 
+/**
+ * Breaks up literal protocol tokens in client-supplied text by inserting a zero-width space after
+ * their first character, so that neither the model nor the completeness checks see a real token.
+ * @param {string} text - The message text.
+ * @param {object} protocol - The protocol tokens from `config.protocol`.
+ * @returns {string} The text with the tokens neutralized.
+ */
+function neutralizeProtocolTokens(text, protocol) {
+  let result = text;
+  for (const token of protocol.reservedTokens) {
+    if (result.includes(token)) {
+      result = result.replaceAll(token, token[0] + "\u200B" + token.slice(1));
+    }
+  }
+  return result;
+}
+
 // 这个函数会转义所有正则表达式的特殊字符
 function escapeRegExp(string) {
   return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); // $& 表示匹配到的整个字符串
 }
 
 /**
- * Checks if a response text is complete by verifying it ends with the FINISHED_TOKEN.
+ * Checks if a response text is complete by verifying it ends with the configured finished token.
  * @param {string} text - The response text.
+ * @param {object} protocol - The protocol tokens from `config.protocol`.
  * @returns {boolean} True if the response is complete.
  */
-export function isResponseComplete(text) {
-  const escapedFinishedToken = escapeRegExp(FINISHED_TOKEN);
+export function isResponseComplete(text, protocol) {
+  const escapedFinishedToken = escapeRegExp(protocol.finishedToken);
   const regex = new RegExp(`${escapedFinishedToken}\\s*$`);
   return regex.test(text);
 }
 
 /**
- * Checks if the formal response has started by looking for the BEGIN_TOKEN.
+ * Checks if the formal response has started by looking for the configured begin token.
  * This signifies the end of the 'thought' phase.
  * @param {string} text - The response text.
+ * @param {object} protocol - The protocol tokens from `config.protocol`.
  * @returns {boolean} True if the formal response has started.
  */
-export function isFormalResponseStarted(text) {
-  const escapedBeginToken = escapeRegExp(BEGIN_TOKEN);
+export function isFormalResponseStarted(text, protocol) {
+  const escapedBeginToken = escapeRegExp(protocol.beginToken);
   const regex = new RegExp(`^${escapedBeginToken}($|[^\`\. ])`);
   return regex.test(text);
 }
 
 /**
- * Removes the BEGIN_TOKEN and the FINISHED_TOKEN from the final text.
+ * Removes the configured begin and finished tokens from the final text.
  * @param {string} text - The complete response text.
- * @param {boolean} cleanBeginToken - Whether to clean the BEGIN_TOKEN. Defaults to true.
- * @param {boolean} cleanFinishToken - Whether to clean the FINISHED_TOKEN. Defaults to true.
+ * @param {object} protocol - The protocol tokens from `config.protocol`.
+ * @param {boolean} cleanBeginToken - Whether to clean the begin token. Defaults to true.
+ * @param {boolean} cleanFinishToken - Whether to clean the finished token. Defaults to true.
  * @returns {string} The cleaned text.
  */
-export function cleanFinalText(text, cleanBeginToken = true, cleanFinishToken = true) {
+export function cleanFinalText(text, protocol, cleanBeginToken = true, cleanFinishToken = true) {
   let cleanedText = text;
 
   // 1. 清理开头的 BEGIN_TOKEN
   if (cleanBeginToken) {
-    const escapedBeginToken = escapeRegExp(BEGIN_TOKEN);
+    const escapedBeginToken = escapeRegExp(protocol.beginToken);
     cleanedText = cleanedText.replace(new RegExp(`^\\s?${escapedBeginToken}\\s?`), "");
   }
 
   // 2. 清理末尾的 FINISHED_TOKEN
   if (cleanFinishToken) {
-    const escapedFinishedToken = escapeRegExp(FINISHED_TOKEN);
+    const escapedFinishedToken = escapeRegExp(protocol.finishedToken);
     cleanedText = cleanedText.replace(new RegExp(`\\s?${escapedFinishedToken}\\s*$`), "");
   }
 
   return cleanedText;
 }
 
+/**
+ * Removes protocol tokens that show up in the middle of the formal text: any begin token (the formal
+ * response has already started) and finished tokens that are followed by more content.
+ * @param {string} text - Formal response text received after the begin token.
+ * @param {object} protocol - The protocol tokens from `config.protocol`.
+ * @returns {string} The text without stray tokens.
+ */
+export function stripStrayProtocolTokens(text, protocol) {
+  const escapedBeginToken = escapeRegExp(protocol.beginToken);
+  const escapedFinishedToken = escapeRegExp(protocol.finishedToken);
+  return text
+    .replace(new RegExp(`${escapedBeginToken}\\n?`, "g"), "")
+    .replace(new RegExp(`${escapedFinishedToken}(?=\\s*\\S)`, "g"), "");
+}
+
+// 中日文没有空格分词，每个字都可以作为词的边界
+const WORD_CHAR_REGEX = /[\p{L}\p{N}_]/u;
+const CJK_CHAR_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u;
+
+function isWordChar(char) {
+  return WORD_CHAR_REGEX.test(char) && !CJK_CHAR_REGEX.test(char);
+}
+
+/**
+ * Finds how many characters at the start of `text` repeat the end of `previousText`.
+ * Short overlaps only count when they are whole words, so a continuation that legitimately
+ * starts with the same letters is left alone.
+ * @param {string} previousText - The text already sent as the continuation prefill.
+ * @param {string} text - The start of the continuation.
+ * @returns {number} The length of the duplicated prefix, or 0.
+ */
+function findSeamOverlap(previousText, text) {
+  const maxLength = Math.min(previousText.length, text.length, SEAM_REPAIR_LIMITS.maxOverlap);
+  for (let length = maxLength; length >= SEAM_REPAIR_LIMITS.minWordOverlap; length--) {
+    if (!previousText.endsWith(text.slice(0, length))) {
+      continue;
+    }
+    if (length >= SEAM_REPAIR_LIMITS.minOverlap) {
+      return length;
+    }
+    const charBefore = previousText[previousText.length - length - 1];
+    const charAfter = text[length];
+    const startsAtWord = charBefore === undefined || !isWordChar(charBefore);
+    const endsAtWord = charAfter === undefined || !isWordChar(charAfter);
+    if (startsAtWord && endsAtWord) {
+      return length;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Repairs the start of a continuation so that it joins the accumulated text cleanly:
+ * stray protocol tokens are removed, a code fence reopened inside an unclosed code block is dropped,
+ * text repeating the tail of the accumulated text is dropped, and a space is not doubled.
+ * @param {string} previousText - The text already sent as the continuation prefill.
+ * @param {string} continuation - The start of the continuation (after the begin token was seen).
+ * @param {object} protocol - The protocol tokens from `config.protocol`.
+ * @returns {string} The repaired continuation text.
+ */
+export function repairContinuationSeam(previousText, continuation, protocol) {
+  const text = stripStrayProtocolTokens(continuation, protocol);
+  const leadingWhitespace = text.match(/^\s*/)[0];
+  let body = text.slice(leadingWhitespace.length);
+  let isRepaired = false;
+
+  // 前文中的代码块尚未闭合时，模型经常重新开一个代码块
+  const fenceCount = (previousText.match(/^[ \t]*(```|~~~)/gm) || []).length;
+  const reopenedFence = fenceCount % 2 === 1 ? body.match(/^(```|~~~)[^\n`]*\n/) : null;
+  if (reopenedFence) {
+    body = body.slice(reopenedFence[0].length);
+    isRepaired = true;
+  }
+
+  const overlapLength = findSeamOverlap(previousText, body);
+  if (overlapLength > 0) {
+    body = body.slice(overlapLength);
+    isRepaired = true;
+  }
+
+  // 修复过的续写从重复内容之后接上，开头的空白也属于重复部分
+  if (isRepaired || (/[ \t]$/.test(previousText) && /^[ \t]+$/.test(leadingWhitespace))) {
+    return body;
+  }
+  return text;
+}
+
+/**
+ * Cleans the protocol tokens from accumulated formal text and interleaves the non-text parts
+ * (such as function calls) that arrived while that text was being generated.
+ * @param {string} text - The raw accumulated formal response text.
+ * @param {object} protocol - The protocol tokens from `config.protocol`.
+ * @param {Array<{offset: number, part: object}>} [extraParts=[]] - Non-text parts with the text length at which they arrived.
+ * @param {string} [suffix=""] - Text appended after the cleaned text, e.g. the incomplete marker.
+ * @returns {Array} The ordered response parts.
+ */
+export function assembleResponseParts(text, protocol, extraParts = [], suffix = "") {
+  const withoutBegin = cleanFinalText(text, protocol, true, false);
+  const removedPrefixLength = text.length - withoutBegin.length;
+  const cleanedText = cleanFinalText(withoutBegin, protocol, false, true);
+  const fullText = cleanedText + suffix;
+
+  if (extraParts.length === 0) {
+    return [{ text: fullText }];
+  }
+
+  const parts = [];
+  let cursor = 0;
+  for (const { offset, part } of extraParts) {
+    // 清理标记后偏移量需要相应调整，且不能落在结束标记或后缀之后
+    const position = Math.min(Math.max(offset - removedPrefixLength, 0), cleanedText.length);
+    if (position > cursor) {
+      parts.push({ text: fullText.slice(cursor, position) });
+      cursor = position;
+    }
+    parts.push(part);
+  }
+  if (cursor < fullText.length) {
+    parts.push({ text: fullText.slice(cursor) });
+  }
+  return parts;
+}
+
 /**
  * 清理响应部分，移除兼容性问题的属性
  * @param {Array} parts - 响应的 parts 数组
@@ -313,9 +525,10 @@ export function buildRetryRequest(currentBody, newResponseText) {
  * @param {string} upstreamUrl - The target Gemini API URL.
  * @param {Request} originalRequest - The original incoming request.
  * @param {object} requestBody - The JSON body for the upstream request.
+ * @param {object} [config] - The worker configuration; when the key pool is in use a pooled key is picked per call.
  * @returns {Request} A new Request object configured for the upstream API.
  */
-export function buildUpstreamRequest(upstreamUrl, originalRequest, requestBody) {
+export function buildUpstreamRequest(upstreamUrl, originalRequest, requestBody, config) {
   const headers = new Headers();
   const copyHeader = (key) => {
     if (originalRequest.headers.has(key)) {
@@ -345,9 +558,22 @@ export function buildUpstreamRequest(upstreamUrl, originalRequest, requestBody)
     copyHeader("X-Goog-Api-Key");
   }
 
+  // 使用 key 池时，每次尝试都从池中重新选择 key，替换客户端的 key
+  if (config?.useKeyPool) {
+    const urlObj = new URL(upstreamUrl);
+    urlObj.searchParams.delete("key");
+    upstreamUrl = urlObj.toString();
+    headers.set("X-Goog-Api-Key", selectUpstreamKey(config));
+  }
+
   // Add custom User-Agent to identify requests from this script
   headers.set("User-Agent", "gemini-anti-truncate-proxy/1.0");
 
+  // Vertex AI 要求每条 content 都带有 role，Gemini API 允许省略
+  if (config?.vertex && Array.isArray(requestBody.contents)) {
+    requestBody = { ...requestBody, contents: requestBody.contents.map(content => (content.role ? content : { ...content, role: "user" })) };
+  }
+
   return new Request(upstreamUrl, {
     method: "POST",
     headers: headers,
@@ -356,7 +582,205 @@ export function buildUpstreamRequest(upstreamUrl, originalRequest, requestBody)
 }
 
 /**
- * 解析 parts 数组，提取思考内容、正式响应内容和函数调用信息
+ * usageMetadata 中需要跨尝试累加的 token 计数字段
+ */
+export const USAGE_TOKEN_FIELDS = [
+  "promptTokenCount",
+  "candidatesTokenCount",
+  "thoughtsTokenCount",
+  "cachedContentTokenCount",
+  "totalTokenCount",
+];
+
+/**
+ * 累加多个 usageMetadata 的 token 计数，只包含至少出现过一次的字段
+ * @param {Array<object|undefined>} usages - 每次尝试的 usageMetadata
+ * @returns {object} 累加后的 usageMetadata
+ */
+export function sumUsageMetadata(usages) {
+  const totals = {};
+  for (const usage of usages) {
+    for (const field of USAGE_TOKEN_FIELDS) {
+      if (typeof usage?.[field] === "number") {
+        totals[field] = (totals[field] || 0) + usage[field];
+      }
+    }
+  }
+  return totals;
+}
+
+/**
+ * 判断 part 是否为 inlineData / fileData 形式的非文本输出（生成的图片、音频等）
+ * @param {object} part - 响应中的单个 part
+ * @returns {boolean}
+ */
+export function isMediaPart(part) {
+  return Boolean(part.inlineData || part.fileData);
+}
+
+/**
+ * 候选中需要跨尝试合并的元数据字段
+ */
+const CANDIDATE_METADATA_FIELDS = ["groundingMetadata", "citationMetadata", "safetyRatings", "urlContextMetadata"];
+
+const SAFETY_PROBABILITY_ORDER = ["NEGLIGIBLE", "LOW", "MEDIUM", "HIGH"];
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Returns the UTF-8 length of a string. Citation and grounding segment indices are byte offsets.
+ * @param {string} text - The text.
+ * @returns {number} The length in bytes.
+ */
+export function utf8Length(text) {
+  return textEncoder.encode(text).length;
+}
+
+/**
+ * Roughly estimates the token count of generated text when the upstream reports no usage.
+ * Four UTF-8 bytes per token errs on the high side for English and close to one token per CJK character.
+ * @param {string} text - The generated text.
+ * @returns {number} The estimated token count.
+ */
+export function estimateTokenCount(text) {
+  return Math.ceil(utf8Length(text) / 4);
+}
+
+/**
+ * 取出候选中需要跨尝试合并的元数据（只包含存在的字段）
+ * @param {object} candidate - 上游返回的候选
+ * @returns {object} 元数据
+ */
+export function pickCandidateMetadata(candidate) {
+  const metadata = {};
+  for (const field of CANDIDATE_METADATA_FIELDS) {
+    if (candidate?.[field] !== undefined) {
+      metadata[field] = candidate[field];
+    }
+  }
+  return metadata;
+}
+
+function shiftSegment(segment, byteOffset) {
+  const shifted = { ...segment };
+  for (const key of ["startIndex", "endIndex"]) {
+    if (typeof shifted[key] === "number") {
+      shifted[key] = Math.max(0, shifted[key] + byteOffset);
+    }
+  }
+  return shifted;
+}
+
+function isWithinText(segment, maxEndIndex) {
+  return !(typeof segment?.endIndex === "number" && segment.endIndex > maxEndIndex);
+}
+
+function mergeGroundingMetadata(merged = {}, next, byteOffset, maxEndIndex) {
+  // 相同的引用来源只保留一份，并把后续尝试的索引映射过去
+  const chunks = [...(merged.groundingChunks || [])];
+  const chunkKeys = chunks.map(chunk => JSON.stringify(chunk));
+  const chunkIndexMap = (next.groundingChunks || []).map(chunk => {
+    const key = JSON.stringify(chunk);
+    let index = chunkKeys.indexOf(key);
+    if (index === -1) {
+      index = chunks.push(chunk) - 1;
+      chunkKeys.push(key);
+    }
+    return index;
+  });
+
+  const supports = [...(merged.groundingSupports || [])];
+  const supportKeys = new Set(supports.map(support => JSON.stringify(support)));
+  for (const support of next.groundingSupports || []) {
+    const shifted = {
+      ...support,
+      segment: support.segment && shiftSegment(support.segment, byteOffset),
+      groundingChunkIndices: support.groundingChunkIndices?.map(index => chunkIndexMap[index] ?? index),
+    };
+    const key = JSON.stringify(shifted);
+    if (isWithinText(shifted.segment, maxEndIndex) && !supportKeys.has(key)) {
+      supports.push(shifted);
+      supportKeys.add(key);
+    }
+  }
+
+  // 其余字段（如 searchEntryPoint）取最新的值
+  const { groundingChunks, groundingSupports, ...rest } = next;
+  const result = { ...merged, ...rest };
+  if (chunks.length > 0) result.groundingChunks = chunks;
+  if (supports.length > 0) result.groundingSupports = supports;
+  if (merged.webSearchQueries || next.webSearchQueries) {
+    result.webSearchQueries = [...new Set([...(merged.webSearchQueries || []), ...(next.webSearchQueries || [])])];
+  }
+  return result;
+}
+
+function mergeSafetyRatings(merged = [], next) {
+  // 每个类别保留最严重的评级
+  const byCategory = new Map(merged.map(rating => [rating.category, rating]));
+  for (const rating of next) {
+    const previous = byCategory.get(rating.category);
+    if (!previous) {
+      byCategory.set(rating.category, rating);
+      continue;
+    }
+    const isHigher = SAFETY_PROBABILITY_ORDER.indexOf(rating.probability) > SAFETY_PROBABILITY_ORDER.indexOf(previous.probability);
+    const worst = isHigher ? rating : previous;
+    byCategory.set(rating.category, previous.blocked || rating.blocked ? { ...worst, blocked: true } : worst);
+  }
+  return [...byCategory.values()];
+}
+
+/**
+ * 将一次尝试的候选元数据合并到累计结果中。引用和 grounding 片段的索引按该次尝试文本在
+ * 最终拼接文本中的字节偏移平移，grounding 来源去重后重新编号，安全评级按类别取最严重的一项。
+ * @param {object} merged - 之前所有尝试合并后的元数据
+ * @param {object} metadata - 本次尝试的元数据，来自 `pickCandidateMetadata`
+ * @param {number} byteOffset - 本次尝试文本起点相对最终文本的字节偏移
+ * @param {number} [maxEndIndex] - 最终文本中保留的字节数，超出部分的片段（例如截断后被丢弃的文本）不再保留
+ * @returns {object} 合并后的元数据
+ */
+export function mergeCandidateMetadata(merged, metadata, byteOffset, maxEndIndex = Infinity) {
+  const result = { ...merged };
+
+  if (metadata.citationMetadata) {
+    // Vertex AI 的引用列表字段为 citations，Gemini API 为 citationSources
+    const field = metadata.citationMetadata.citations ? "citations" : "citationSources";
+    const sources = (metadata.citationMetadata[field] || [])
+      .map(source => shiftSegment(source, byteOffset))
+      .filter(source => isWithinText(source, maxEndIndex));
+    const existing = merged.citationMetadata?.[field] || [];
+    const keys = new Set(existing.map(source => JSON.stringify(source)));
+    result.citationMetadata = {
+      ...merged.citationMetadata,
+      ...metadata.citationMetadata,
+      [field]: [...existing, ...sources.filter(source => !keys.has(JSON.stringify(source)))],
+    };
+  }
+
+  if (metadata.groundingMetadata) {
+    result.groundingMetadata = mergeGroundingMetadata(merged.groundingMetadata, metadata.groundingMetadata, byteOffset, maxEndIndex);
+  }
+
+  if (metadata.urlContextMetadata) {
+    const urls = [...(merged.urlContextMetadata?.urlMetadata || [])];
+    for (const entry of metadata.urlContextMetadata.urlMetadata || []) {
+      if (!urls.some(existing => existing.retrievedUrl === entry.retrievedUrl)) {
+        urls.push(entry);
+      }
+    }
+    result.urlContextMetadata = { ...merged.urlContextMetadata, ...metadata.urlContextMetadata, urlMetadata: urls };
+  }
+
+  if (metadata.safetyRatings) {
+    result.safetyRatings = mergeSafetyRatings(merged.safetyRatings, metadata.safetyRatings);
+  }
+
+  return result;
+}
+
+/**
+ * 解析 parts 数组，提取思考内容、正式响应内容、函数调用和非文本输出
  * @param {Array} parts - 响应中的 parts 数组
  * @returns {object} 包含思考内容、正式响应内容和函数调用信息的对象
  */
@@ -364,9 +788,11 @@ export function parseParts(parts) {
   const result = {
     thoughtParts: [],  // 存储完整的 thought 对象
     responseText: "",  // 正式响应文本
-    functionCall: null, // 函数调用对象
+    functionCalls: [], // 所有函数调用对象（并行调用时可能有多个）
+    mediaParts: [],    // inlineData / fileData 等非文本输出（图片、音频）
     hasThought: false,  // 是否包含思考内容
-    hasFunctionCall: false // 是否包含函数调用
+    hasFunctionCall: false, // 是否包含函数调用
+    hasMedia: false // 是否包含非文本输出
   };
 
   if (!Array.isArray(parts)) {
@@ -385,9 +811,14 @@ export function parseParts(parts) {
     }
     // 处理函数调用
     else if (part.functionCall) {
-      result.functionCall = part.functionCall;
+      result.functionCalls.push(part.functionCall);
       result.hasFunctionCall = true;
     }
+    // 处理图片、音频等非文本输出
+    else if (isMediaPart(part)) {
+      result.mediaParts.push(part);
+      result.hasMedia = true;
+    }
   }
 
   return result;
@@ -404,15 +835,121 @@ export function isStructuredOutputRequest(requestBody) {
     requestBody.generationConfig.responseSchema !== undefined;
 }
 
+/**
+ * Validates a parsed JSON value against a Gemini `responseSchema` (OpenAPI schema subset).
+ * Supports `type`, `nullable`, `enum`, `properties`, `required`, `items`,
+ * `minItems`, `maxItems` and `anyOf`; unknown keywords are ignored.
+ * @param {any} value - The parsed JSON value.
+ * @param {object} schema - The response schema.
+ * @param {string} [path="$"] - The JSON path of the value, used in error messages.
+ * @returns {string[]} A list of validation errors, empty if the value is valid.
+ */
+export function validateAgainstSchema(value, schema, path = "$") {
+  const errors = [];
+  if (!schema || typeof schema !== "object") {
+    return errors;
+  }
+
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length > 0) {
+    if (!schema.anyOf.some(subSchema => validateAgainstSchema(value, subSchema, path).length === 0)) {
+      errors.push(`${path}: does not match any schema in anyOf`);
+    }
+    return errors;
+  }
+
+  // JSON Schema 风格的 type 数组，例如 ["string", "null"]
+  const types = (Array.isArray(schema.type) ? schema.type : [schema.type])
+    .filter(type => typeof type === "string")
+    .map(type => type.toLowerCase());
+
+  if (value === null) {
+    if (!schema.nullable && types.length > 0 && !types.includes("null")) {
+      errors.push(`${path}: must not be null`);
+    }
+    return errors;
+  }
+
+  const matchesType = (type) => {
+    switch (type) {
+      case "string": return typeof value === "string";
+      case "number": return typeof value === "number";
+      case "integer": return Number.isInteger(value);
+      case "boolean": return typeof value === "boolean";
+      case "array": return Array.isArray(value);
+      case "object": return typeof value === "object" && !Array.isArray(value);
+      default: return true;
+    }
+  };
+
+  if (types.length > 0 && !types.some(matchesType)) {
+    errors.push(`${path}: expected ${types.join(" or ")}`);
+    return errors;
+  }
+
+  if (Array.isArray(schema.enum) && schema.enum.length > 0 && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (Array.isArray(value)) {
+    const minItems = parseInt(schema.minItems, 10);
+    const maxItems = parseInt(schema.maxItems, 10);
+    if (!isNaN(minItems) && value.length < minItems) {
+      errors.push(`${path}: must have at least ${minItems} items`);
+    }
+    if (!isNaN(maxItems) && value.length > maxItems) {
+      errors.push(`${path}: must have at most ${maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  } else if (typeof value === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}: missing required property "${key}"`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Decides whether accumulated structured output is complete.
+ * A response is complete when the text parses as JSON and validates against the schema;
+ * text that does not parse is considered truncated and can be continued.
+ * @param {string} text - The accumulated response text.
+ * @param {object} schema - The response schema.
+ * @returns {{ isParsed: boolean, isValid: boolean, jsonText: string, errors: string[] }}
+ */
+export function checkStructuredOutput(text, schema) {
+  // 兼容模型用 markdown 代码块包裹 JSON 的情况
+  const jsonText = text.trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+
+  let value;
+  try {
+    value = JSON.parse(jsonText);
+  } catch (e) {
+    return { isParsed: false, isValid: false, jsonText, errors: [e.message] };
+  }
+
+  const errors = validateAgainstSchema(value, schema);
+  return { isParsed: true, isValid: errors.length === 0, jsonText, errors };
+}
+
 /**
  * 处理单个 SSE 数据行，解析内容并更新缓冲区
  * @param {string} line - SSE 数据行
  * @param {object} buffers - 包含 textBuffer 和 linesBuffer 的缓冲区对象
- * @param {boolean} debugMode - 是否启用调试模式
+ * @param {object} config - The worker configuration.
  * @param {object} flags - 包含 hasFunctionCallInStream 的标志对象
  * @returns {object} 解析后的数据或 null（如果行不是数据行）
  */
-export function processSSEDataLine(line, buffers, debugMode, flags) {
+export function processSSEDataLine(line, buffers, config, flags) {
   if (!line.startsWith('data:')) {
     return null;
   }
@@ -424,9 +961,7 @@ export function processSSEDataLine(line, buffers, debugMode, flags) {
 
   // Basic validation of JSON string before parsing
   if (jsonStr.length > 100000) { // Prevent parsing extremely large JSON strings
-    if (debugMode) {
-      console.log(`[DEBUG ${new Date().toISOString()}] SSE data line too large, skipping:`, line.substring(0, 100) + "...");
-    }
+    logEvent(config, "debug", "sse_line_skipped", { reason: "too_large", line: line.substring(0, 100) });
     // Don't store malformed lines that are too large
     return null;
   }
@@ -455,18 +990,14 @@ export function processSSEDataLine(line, buffers, debugMode, flags) {
     // Check if this chunk contains a function call
     if (parsedParts.hasFunctionCall) {
       flags.hasFunctionCallInStream = true;
-      if (debugMode) {
-        console.log(`[DEBUG ${new Date().toISOString()}] Function call detected in stream. Will continue streaming without retry.`);
-      }
+      logEvent(config, "debug", "function_call_detected");
     }
 
     // Validate responseText before accumulating
     if (parsedParts.responseText && typeof parsedParts.responseText === 'string') {
       // Prevent accumulating extremely large text
       if (parsedParts.responseText.length > 50000) {
-        if (debugMode) {
-          console.log(`[DEBUG ${new Date().toISOString()}] Response text too large, truncating`);
-        }
+        logEvent(config, "debug", "response_text_truncated", { length: parsedParts.responseText.length });
         buffers.textBuffer += parsedParts.responseText.substring(0, 50000);
       } else {
         buffers.textBuffer += parsedParts.responseText;
@@ -481,9 +1012,7 @@ export function processSSEDataLine(line, buffers, debugMode, flags) {
 
     return { data, parsedParts };
   } catch (e) {
-    if (debugMode) {
-      console.log(`[DEBUG ${new Date().toISOString()}] Could not parse SSE data line:`, line, e);
-    }
+    logEvent(config, "debug", "sse_line_skipped", { reason: "parse_error", line: line.substring(0, 100), message: e.message });
     // Only store malformed lines if they're not too large
     if (line.length < 100) {
       buffers.linesBuffer.push(line);
@@ -491,3 +1020,233 @@ export function processSSEDataLine(line, buffers, debugMode, flags) {
     return null;
   }
 }
+
+/**
+ * 将 URL（data URL 或远程地址）转换为 Gemini 的 inlineData / fileData part
+ * @param {string} url - 图片或文件地址
+ * @returns {object|null} Gemini part
+ */
+export function urlToPart(url) {
+  if (!url) return null;
+
+  const dataUrlMatch = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s.exec(url);
+  if (dataUrlMatch) {
+    return { inlineData: { mimeType: dataUrlMatch[1], data: dataUrlMatch[2] } };
+  }
+
+  const extension = (url.split("?")[0].split(".").pop() || "").toLowerCase();
+  const mimeTypes = { png: "image/png", gif: "image/gif", webp: "image/webp", pdf: "application/pdf" };
+  return { fileData: { fileUri: url, mimeType: mimeTypes[extension] || "image/jpeg" } };
+}
+
+/**
+ * 解析工具调用参数或工具结果，Gemini 要求 functionResponse.response 为对象
+ * @param {string|object} value - JSON 字符串或对象
+ * @param {string} wrapKey - 非对象结果包装使用的键名
+ * @returns {object} 对象形式的值
+ */
+export function toJsonObject(value, wrapKey) {
+  let parsed = value;
+  if (typeof value === "string") {
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      parsed = value;
+    }
+  }
+  if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+    return parsed;
+  }
+  return { [wrapKey]: parsed };
+}
+
+/**
+ * 移除 Gemini responseSchema 不支持的 JSON Schema 关键字
+ * @param {any} schema - JSON Schema
+ * @returns {any} 清理后的 schema
+ */
+export function sanitizeSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(sanitizeSchema);
+  }
+  if (!schema || typeof schema !== "object") {
+    return schema;
+  }
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === "$schema" || key === "additionalProperties" || key === "strict") continue;
+    result[key] = sanitizeSchema(value);
+  }
+  return result;
+}
+
+/**
+ * Creates a filter that removes the `START_OF_THOUGHT` prefill from the start of each candidate's thoughts.
+ * 原生客户端需要这段预置文本来衔接思维链，兼容层的客户端从未发送过它，不应在思考内容中看到
+ * @param {object} config - The worker configuration.
+ * @param {object} geminiBody - The translated Gemini request body.
+ * @returns {function(number, string): string} Maps a candidate index and its next thought text to the text to emit.
+ */
+export function createThoughtPrefillFilter(config, geminiBody) {
+  // 与处理器的判断一致：thinkingBudget 为 0 时不注入，请求头可以覆盖
+  const isPrefilled = config.injectBegin ?? geminiBody.generationConfig?.thinkingConfig?.thinkingBudget !== 0;
+  const checkedIndexes = new Set();
+  return (index, thought) => {
+    if (!isPrefilled || !thought || checkedIndexes.has(index)) return thought;
+    checkedIndexes.add(index);
+    return thought.startsWith(config.startOfThought) ? thought.slice(config.startOfThought.length) : thought;
+  };
+}
+
+/**
+ * Builds an internal Gemini-native request so that protocol adapters (e.g. the OpenAI-compatible
+ * endpoint) can reuse the anti-truncation handlers without duplicating their retry logic.
+ * @param {Request} originalRequest - The original incoming request.
+ * @param {string} model - The Gemini model name, without the `models/` prefix.
+ * @param {object} geminiBody - The translated Gemini request body.
+ * @param {boolean} isStream - Whether to target `streamGenerateContent` with SSE output.
+ * @param {string} apiKey - The Gemini API key to authenticate the upstream request with.
+ * @returns {{ request: Request, url: URL }} The synthetic request and its parsed URL.
+ */
+export function buildGeminiNativeRequest(originalRequest, model, geminiBody, isStream, apiKey) {
+  const originalUrl = new URL(originalRequest.url);
+  const method = isStream ? "streamGenerateContent?alt=sse" : "generateContent";
+  const url = new URL(`${originalUrl.origin}/v1beta/models/${encodeURIComponent(model)}:${method}`);
+
+  const headers = new Headers();
+  headers.set("Content-Type", "application/json");
+  headers.set("X-Goog-Api-Key", apiKey);
+  // 使用中性的 User-Agent，避免 detectClientType 进入兼容模式而丢失 thought 标记
+  headers.set("User-Agent", "gemini-anti-truncate-proxy/adapter");
+
+  const request = new Request(url.toString(), {
+    method: "POST",
+    headers,
+    body: JSON.stringify(geminiBody),
+    // 客户端断开时内部请求也随之中止
+    signal: originalRequest.signal,
+  });
+
+  return { request, url };
+}
+
+/**
+ * 逐个解析 SSE 事件，兼容多行 data 字段与 event 字段。
+ * 设置了超时时，首个数据块或两个数据块之间停顿超时后取消读取，调用 onStall 并按流结束处理。
+ * @param {ReadableStream} stream - SSE 响应体
+ * @param {{ firstChunkMs?: number, idleMs?: number, startedAt?: number, onStall?: (phase: string, timeoutMs: number) => void }} [timeouts] - 停顿超时（毫秒，0 表示不限制），首个数据块的超时从 startedAt 开始计算
+ * @returns {AsyncGenerator<{event: string|null, data: string}>} 依次产出每个事件
+ */
+export async function* iterateSSEEvents(stream, timeouts = {}) {
+  const { firstChunkMs = 0, idleMs = 0, startedAt = Date.now(), onStall } = timeouts;
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let hasReceivedChunk = false;
+
+  try {
+    while (true) {
+      const timeoutMs = hasReceivedChunk
+        ? idleMs
+        : firstChunkMs && Math.max(1, firstChunkMs - (Date.now() - startedAt));
+      const result = await readWithTimeout(reader, timeoutMs);
+      if (result === null) {
+        // 上游停止发送但未关闭连接：取消读取，丢弃不完整的事件
+        reader.cancel().catch(() => { /* the stream may already be errored */ });
+        onStall?.(hasReceivedChunk ? "idle" : "first_chunk", hasReceivedChunk ? idleMs : firstChunkMs);
+        break;
+      }
+      const { value, done } = result;
+      hasReceivedChunk = hasReceivedChunk || Boolean(value);
+      if (value) {
+        buffer += decoder.decode(value, { stream: true });
+      }
+      if (done) {
+        buffer += decoder.decode();
+      }
+
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = done ? "" : blocks.pop() || "";
+
+      for (const block of blocks) {
+        let event = null;
+        const dataLines = [];
+        for (const line of block.split(/\r?\n/)) {
+          if (line.startsWith("event:")) {
+            event = line.substring(6).trim();
+          } else if (line.startsWith("data:")) {
+            dataLines.push(line.substring(5).trimStart());
+          }
+        }
+        if (dataLines.length > 0) {
+          yield { event, data: dataLines.join("\n") };
+        }
+      }
+
+      if (done) {
+        break;
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Builds the upstream path that streams a non-streaming request: `:generateContent` becomes
+ * `:streamGenerateContent` with `alt=sse`.
+ * @param {URL} url - The parsed URL of the client request.
+ * @returns {string} The path and query to send upstream.
+ */
+export function toStreamingUpstreamPath(url) {
+  const params = new URLSearchParams(url.search);
+  params.set("alt", "sse");
+  return `${url.pathname.replace(/:generateContent$/, ":streamGenerateContent")}?${params}`;
+}
+
+/**
+ * 读取上游 SSE 流并合并为一个 generateContent 形式的响应。
+ * 每个候选的 parts 按到达顺序拼接（不合并文本，保持与流式处理相同的标记检测），
+ * 其余字段取最新数据块的值。流中途断开或收到错误时，返回已收到的部分和错误。
+ * 与流式处理相同，上游停顿超过 STREAM_FIRST_CHUNK_TIMEOUT_MS / STREAM_IDLE_TIMEOUT_MS 时按流结束处理，
+ * 已收到的部分由调用方按截断续写。
+ * @param {ReadableStream} stream - 上游 SSE 响应体
+ * @param {object} config - The worker configuration.
+ * @param {number} attemptStartedAt - 本次尝试开始的时间，首个数据块的超时从此计算
+ * @param {object} [fields] - Event fields identifying the attempt.
+ * @returns {Promise<{responseJson: object, error: Error|null}>}
+ */
+export async function readStreamedResponse(stream, config, attemptStartedAt, fields = {}) {
+  const candidatesByIndex = new Map();
+  let responseJson = {};
+  let error = null;
+  const timeouts = {
+    firstChunkMs: config.streamFirstChunkTimeoutMs,
+    idleMs: config.streamIdleTimeoutMs,
+    startedAt: attemptStartedAt,
+    onStall: (phase, timeoutMs) => logEvent(config, "warn", "upstream_stream_stalled", { ...fields, phase, timeoutMs }),
+  };
+
+  try {
+    for await (const event of iterateSSEEvents(stream, timeouts)) {
+      const data = JSON.parse(event.data);
+      if (data.error) {
+        error = new Error(data.error.message || "Upstream stream returned an error.");
+        break;
+      }
+      const { candidates, ...rest } = data;
+      responseJson = { ...responseJson, ...rest };
+      for (const [position, candidate] of (candidates || []).entries()) {
+        const index = candidate.index ?? position;
+        const previous = candidatesByIndex.get(index);
+        const parts = [...(previous?.content?.parts || []), ...(candidate.content?.parts || [])];
+        candidatesByIndex.set(index, { ...previous, ...candidate, index, content: { role: "model", ...candidate.content, parts } });
+      }
+    }
+  } catch (e) {
+    error = e;
+  }
+
+  responseJson.candidates = [...candidatesByIndex.values()].sort((a, b) => a.index - b.index);
+  return { responseJson, error };
+}
@@ -3,14 +3,10 @@
  */
 
 import {
-  FINISHED_TOKEN,
-  INCOMPLETE_TOKEN,
-  TARGET_MODELS,
   RETRYABLE_STATUS_CODES,
-  FATAL_STATUS_CODES,
   MAX_FETCH_RETRIES,
   MAX_NON_RETRYABLE_STATUS_RETRIES,
-  BEGIN_TOKEN
+  SEAM_REPAIR_LIMITS,
 } from "./constants.js";
 import {
   isCherryRequest,
@@ -19,40 +15,581 @@ import {
   isResponseComplete,
   isFormalResponseStarted,
   cleanFinalText,
+  stripStrayProtocolTokens,
+  repairContinuationSeam,
   buildRetryRequest,
   buildUpstreamRequest,
   parseParts,
   isStructuredOutputRequest,
+  checkStructuredOutput,
+  sumUsageMetadata,
+  assembleResponseParts,
   cleanResponseParts,
+  toStreamingUpstreamPath,
+  readStreamedResponse,
+  isMediaPart,
+  utf8Length,
+  estimateTokenCount,
+  pickCandidateMetadata,
+  mergeCandidateMetadata,
 } from "./core.js";
-import { logDebug, jsonError } from "./utils.js";
+import { logEvent, jsonError } from "./utils.js";
+import { fetchUpstream, buildPassthroughRequest, buildUpstreamTarget, reportUpstreamBaseStatus, isFatalUpstreamStatus, createRetryBackoff, getRetryAfterMs, readWithTimeout } from "./upstream.js";
+
+/**
+ * 创建单个候选的状态对象，按候选跟踪思维/正式文本与续写进度
+ * @param {number} index - 候选的 index
+ * @param {boolean} injectBeginTokenPrompt - 是否注入了 BEGIN_TOKEN 提示
+ * @param {object} config - The worker configuration.
+ * @returns {object} 候选状态
+ */
+function createCandidateState(index, injectBeginTokenPrompt, config) {
+  return {
+    index,
+    attempts: 0,
+    thoughtText: injectBeginTokenPrompt ? config.startOfThought : "",
+    formalText: "",
+    // 模型已生成的原始文本（不含请求中预置的思维链引导词），用于构建续写请求
+    continuationText: "",
+    isThoughtFinished: !injectBeginTokenPrompt,
+    isComplete: false,
+    // 所有尝试累计消耗的输出 token（含思维），用于遵守客户端的 maxOutputTokens
+    outputTokens: 0,
+    // 非流式：最近一次收到的候选对象，作为最终响应的模板
+    candidateTemplate: null,
+    // 非文本 parts（如函数调用）及其到达时正式文本的长度，用于保持顺序
+    extraParts: [],
+    // 出现函数调用表示本轮以工具调用结束，不再需要结束标记
+    hasFunctionCall: false,
+    // 所有尝试合并后的 grounding、引用、安全评级等元数据
+    metadata: {},
+    // 续写的开头尚未与前文接缝
+    seamPending: false,
+    // 流式：当前尝试的前瞻缓冲区，以及思维链引导词是否已发送
+    textBuffer: "",
+    linesBuffer: [],
+    // 流式：续写开头暂存的文本，以及最近一条暂存的数据行
+    seamText: "",
+    seamData: null,
+    // 流式：本次尝试的元数据、尝试开始时已转发正式文本的字节数，以及尝试开头未进入正式文本的部分
+    attemptMetadata: {},
+    attemptOffsetBase: 0,
+    attemptDroppedText: "",
+    hasAttemptFormalText: false,
+    hasSentStartOfThought: false,
+    // 流式：本次尝试中上游最近一次给出的 finishReason
+    attemptFinishReason: null,
+    // 流式：本次尝试收到的全部文本（含思维），上游没有返回用量时据此估算 token
+    attemptOutputText: "",
+    // 本次尝试开始前的进度，"retry" 动作据此丢弃该次尝试的输出
+    checkpoint: null,
+    // 按结束原因的 "fail" / "partial" 动作提前结束时，返回给客户端的原始 finishReason
+    stopReason: null,
+  };
+}
+
+/**
+ * 保存候选在本次尝试开始前的进度
+ * @param {object} state - 候选状态
+ */
+function saveCheckpoint(state) {
+  state.checkpoint = {
+    thoughtText: state.thoughtText,
+    formalText: state.formalText,
+    continuationText: state.continuationText,
+    isThoughtFinished: state.isThoughtFinished,
+    outputTokens: state.outputTokens,
+    extraPartsLength: state.extraParts.length,
+    metadata: state.metadata,
+  };
+}
+
+/**
+ * 将候选恢复到本次尝试开始前的进度，下一次请求会从同一位置重新生成
+ * @param {object} state - 候选状态
+ */
+function restoreCheckpoint(state) {
+  const { extraPartsLength, ...checkpoint } = state.checkpoint;
+  Object.assign(state, checkpoint);
+  state.extraParts = state.extraParts.slice(0, extraPartsLength);
+}
+
+/**
+ * 查找上游结束原因（finishReason 或 promptFeedback.blockReason）对应的动作，
+ * 未分类的原因按截断续写处理
+ * @param {object} config - The worker configuration.
+ * @param {string|undefined} finishReason - 上游返回的结束原因
+ * @param {object} fields - Event fields identifying the attempt and candidate.
+ * @returns {string} "retry"、"continue"、"fail" 或 "partial"
+ */
+function getFinishReasonAction(config, finishReason, fields) {
+  const action = (finishReason && config.finishReasonActions[finishReason]) || "continue";
+  if (action !== "continue") {
+    logEvent(config, action === "retry" ? "info" : "warn", "finish_reason_action", { ...fields, finishReason, action });
+  }
+  return action;
+}
+
+/**
+ * 选出本轮需要请求的候选：首次请求覆盖所有候选，之后每次只续写一个未完成且仍有重试额度的候选
+ * @param {Array} states - 所有候选状态
+ * @param {boolean} isInitialRequest - 是否为首次请求
+ * @param {object} config - The worker configuration.
+ * @returns {Array} 本轮请求对应的候选状态
+ */
+function selectTargets(states, isInitialRequest, config) {
+  if (isInitialRequest) {
+    return states;
+  }
+  const next = states.find(state => !state.isComplete && state.attempts <= config.maxRetries);
+  return next ? [next] : [];
+}
+
+/**
+ * 为单个候选构建续写请求。buildRetryRequest 只能预填一个 model 回合，
+ * 所以续写请求总是只生成一个候选。还没有生成任何文本的候选（例如被 "retry" 动作重置）不预填。
+ * 客户端设置了 maxOutputTokens 时，续写只能使用剩余的额度。
+ * @param {object} baseRequestBody - 注入系统提示后的请求体
+ * @param {object} state - 候选状态
+ * @param {number|null} maxOutputTokens - 客户端的 maxOutputTokens，未设置为 null
+ * @returns {object} 续写请求体
+ */
+function buildCandidateRetryRequest(baseRequestBody, state, maxOutputTokens) {
+  const retryBody = state.continuationText
+    ? buildRetryRequest(baseRequestBody, state.continuationText)
+    : structuredClone(baseRequestBody);
+  if (retryBody.generationConfig && retryBody.generationConfig.candidateCount !== undefined) {
+    retryBody.generationConfig.candidateCount = 1;
+  }
+  if (maxOutputTokens) {
+    retryBody.generationConfig.maxOutputTokens = Math.max(1, maxOutputTokens - state.outputTokens);
+  }
+  return retryBody;
+}
+
+/**
+ * 读取客户端设置的 maxOutputTokens，它是所有尝试共用的输出额度
+ * @param {object} requestBody - The original request body.
+ * @returns {number|null} 输出 token 上限，未设置为 null
+ */
+function getMaxOutputTokens(requestBody) {
+  const maxOutputTokens = parseInt(requestBody.generationConfig?.maxOutputTokens, 10);
+  return maxOutputTokens > 0 ? maxOutputTokens : null;
+}
+
+/**
+ * 统计一次尝试消耗的输出 token。一次请求包含多个候选时 usageMetadata 是所有候选的合计，
+ * 此时（以及上游没有返回用量时）按文本估算。
+ * @param {object|undefined} usageMetadata - 本次尝试的 usageMetadata，仅单候选请求传入
+ * @param {string} text - 本次尝试收到的全部文本（含思维）
+ * @returns {number} 输出 token 数
+ */
+function countAttemptOutputTokens(usageMetadata, text) {
+  if (usageMetadata?.candidatesTokenCount !== undefined) {
+    return usageMetadata.candidatesTokenCount + (usageMetadata.thoughtsTokenCount || 0);
+  }
+  return estimateTokenCount(text);
+}
+
+/**
+ * 客户端的输出额度是否已经用完：累计用量达到上限，或上游在剩余额度内以 MAX_TOKENS 结束
+ * @param {object} state - 候选状态
+ * @param {string|undefined} finishReason - 上游返回的结束原因
+ * @param {number|null} maxOutputTokens - 客户端的 maxOutputTokens，未设置为 null
+ * @returns {boolean}
+ */
+function isOutputBudgetExhausted(state, finishReason, maxOutputTokens) {
+  return Boolean(maxOutputTokens) && (finishReason === "MAX_TOKENS" || state.outputTokens >= maxOutputTokens);
+}
+
+/**
+ * 计算一次尝试的原始文本在最终文本中的字节偏移，用于平移引用和 grounding 的片段索引：
+ * 之前已累积的正式文本长度，减去最终文本开头被清理的开始标记，
+ * 再减去本次尝试开头没有进入正式文本的部分（思维阶段文本、开始标记、接缝修复去掉的重复内容）
+ * @param {string} formalTextBefore - 本次尝试之前的正式文本
+ * @param {string} formalTextAfter - 本次尝试之后的正式文本
+ * @param {string} attemptText - 本次尝试收到的原始非思维文本
+ * @param {object} protocol - The protocol tokens from `config.protocol`.
+ * @returns {number} 字节偏移
+ */
+function getAttemptByteOffset(formalTextBefore, formalTextAfter, attemptText, protocol) {
+  const droppedLength = Math.max(0, attemptText.length - (formalTextAfter.length - formalTextBefore.length));
+  const removedPrefixLength = formalTextAfter.length - cleanFinalText(formalTextAfter, protocol, true, false).length;
+  return utf8Length(formalTextBefore)
+    - utf8Length(formalTextAfter.slice(0, removedPrefixLength))
+    - utf8Length(attemptText.slice(0, droppedLength));
+}
+
+/**
+ * 将上游返回的候选映射到对应的候选状态。续写请求只有一个候选，其 index 总是 0。
+ * @param {Array} states - 所有候选状态
+ * @param {Array} targets - 本轮请求对应的候选状态
+ * @param {boolean} isInitialRequest - 是否为首次请求
+ * @param {object} candidate - 上游返回的候选
+ * @param {number} position - 候选在 candidates 数组中的位置
+ * @returns {object|undefined} 候选状态
+ */
+function findCandidateState(states, targets, isInitialRequest, candidate, position) {
+  const index = candidate.index ?? position;
+  if (!isInitialRequest) {
+    return index === 0 ? targets[0] : undefined;
+  }
+  return states.find(state => state.index === index);
+}
+
+/**
+ * 记录请求的最终结果：complete、stopped、max_retries 或 error，并提交本次请求的指标
+ * @param {object} config - The worker configuration.
+ * @param {string} outcome - The final outcome.
+ * @param {object} [fields] - Additional event fields, e.g. the status code or attempt count.
+ */
+function logRequestOutcome(config, outcome, fields = {}) {
+  logEvent(config, outcome === "complete" ? "info" : "warn", "request_end", {
+    outcome,
+    durationMs: Date.now() - config.requestStartedAt,
+    ...fields,
+  });
+  config.metrics?.finish();
+}
+
+/**
+ * 根据所有候选的状态得出请求结果：有候选按结束原因提前结束时为 stopped
+ * @param {Array} states - 所有候选状态
+ * @returns {string} complete、stopped 或 max_retries
+ */
+function getOutcome(states) {
+  if (!states.every(state => state.isComplete)) {
+    return "max_retries";
+  }
+  return states.some(state => state.stopReason) ? "stopped" : "complete";
+}
+
+/**
+ * 监听客户端断开：请求的 abort signal 触发，或（流式）客户端不再读取导致 writer 出错时，
+ * 中止进行中的上游请求，调用方据此停止心跳和后续重试
+ * @param {Request} request - The original incoming request.
+ * @param {object} config - The worker configuration.
+ * @param {WritableStreamDefaultWriter} [writer] - 流式响应的 writer
+ * @returns {AbortSignal} 客户端断开时被中止的 signal
+ */
+function watchClientDisconnect(request, config, writer) {
+  const controller = new AbortController();
+  const abort = (source) => {
+    if (controller.signal.aborted) return;
+    logEvent(config, "info", "client_disconnected", { source });
+    controller.abort();
+  };
+
+  if (request.signal?.aborted) {
+    abort("request");
+  } else {
+    request.signal?.addEventListener("abort", () => abort("request"));
+  }
+  writer?.closed.catch(() => abort("writer"));
+  return controller.signal;
+}
+
+/**
+ * 跨尝试累计 usageMetadata。
+ * 流式响应中每个数据块携带的是本次尝试截至当前的用量，因此每次尝试只保留最后一次记录。
+ * @returns {{ startAttempt: () => void, record: (usageMetadata: object|undefined) => void, totals: () => object, apply: (payload: object) => object }}
+ */
+function createUsageTracker() {
+  const records = [];
+  let attemptNumber = 0;
+
+  const totals = () => sumUsageMetadata(records.map(record => record.usageMetadata));
+
+  return {
+    startAttempt() {
+      attemptNumber++;
+    },
+    record(usageMetadata) {
+      if (!usageMetadata) return;
+      const current = records.find(record => record.attempt === attemptNumber);
+      if (current) {
+        current.usageMetadata = usageMetadata;
+      } else {
+        records.push({ attempt: attemptNumber, usageMetadata });
+      }
+    },
+    totals,
+    /**
+     * 将累计用量写入最终响应，并在 antiTruncationUsage 中附上每次尝试的明细
+     */
+    apply(payload) {
+      if (records.length > 0) {
+        payload.usageMetadata = totals();
+        payload.antiTruncationUsage = {
+          attempts: records.map(({ attempt, usageMetadata }) => ({ attempt, ...sumUsageMetadata([usageMetadata]) })),
+        };
+      }
+      return payload;
+    },
+  };
+}
+
+/**
+ * 结构化输出（responseSchema）请求的重试循环。
+ * 不注入协议标记，而是以累积文本能否解析为 JSON 并通过 schema 校验来判断是否完整：
+ * 无法解析视为截断，通过 buildRetryRequest 预填续写；能解析但校验失败则从头重新生成。
+ * 输出不完整时与其他路径一样先按上游结束原因选择动作，"fail" / "partial" 以原始原因提前结束（返回 stopReason）。
+ * @param {Request} request - The original incoming request.
+ * @param {object} config - The worker configuration.
+ * @param {string} upstreamPath - The path and query string of the upstream `generateContent` call.
+ * @param {object} originalRequestBody - The original request body.
+ * @returns {Promise<{ responseJson: object, stopReason?: string }|{ error: { status: number, message: string, details: any } }>}
+ */
+async function runStructuredOutputRequest(request, config, upstreamPath, originalRequestBody) {
+  const schema = originalRequestBody.generationConfig.responseSchema;
+  const maxOutputTokens = getMaxOutputTokens(originalRequestBody);
+  let attempts = 0;
+  let accumulatedText = "";
+  // 所有尝试累计消耗的输出 token，与其他路径一样共用客户端的 maxOutputTokens
+  let outputTokens = 0;
+  let lastCheck = null;
+  const backoff = createRetryBackoff(config);
+  const usage = createUsageTracker();
+  const signal = watchClientDisconnect(request, config);
+
+  while (attempts <= config.maxRetries) {
+    await backoff.wait();
+    if (signal.aborted) {
+      return { error: { status: 499, message: "Client disconnected.", details: null } };
+    }
+    attempts++;
+    usage.startAttempt();
+
+    if (accumulatedText) {
+      logEvent(config, "info", "continuation", { attempt: attempts, structuredOutput: true, prefillLength: accumulatedText.length });
+      config.metrics?.recordTruncationRetry();
+    }
+    // 之后的尝试（续写或重新生成）只能使用剩余的输出额度
+    const requestBody = attempts === 1
+      ? originalRequestBody
+      : buildCandidateRetryRequest(originalRequestBody, { continuationText: accumulatedText, outputTokens }, maxOutputTokens);
+    const upstream = buildUpstreamTarget(config, upstreamPath);
+    const upstreamRequest = buildUpstreamRequest(upstream.url, request, requestBody, config);
+    // 响应头已收到、正在读取响应体，此时的异常也计入上游地址的健康状态
+    let isReadingBody = false;
+
+    try {
+      const upstreamResponse = await fetchUpstream(upstreamRequest, upstream.base, config, { attempt: attempts, structuredOutput: true }, signal);
+
+      if (upstreamResponse.ok) {
+        isReadingBody = true;
+        const responseJson = await upstreamResponse.json();
+        isReadingBody = false;
+        usage.record(responseJson.usageMetadata);
+        const candidate = responseJson?.candidates?.[0];
+        const parts = candidate?.content?.parts || [];
+        const textBefore = accumulatedText;
+        accumulatedText += parseParts(parts).responseText;
+        const isSingleCandidate = !(requestBody.generationConfig?.candidateCount > 1);
+        outputTokens += countAttemptOutputTokens(isSingleCandidate ? responseJson.usageMetadata : undefined, parts.map(part => part.text || "").join(""));
+
+        lastCheck = checkStructuredOutput(accumulatedText, schema);
+        if (lastCheck.isValid) {
+          logEvent(config, "debug", "structured_output_valid", { attempt: attempts });
+          const finalCandidate = {
+            ...candidate,
+            content: { ...candidate.content, role: "model", parts: [{ text: lastCheck.jsonText }] },
+            finishReason: candidate.finishReason || "STOP",
+            index: 0,
+          };
+          return { responseJson: usage.apply({ ...responseJson, candidates: [finalCandidate] }) };
+        }
+
+        const isBudgetExhausted = isOutputBudgetExhausted({ outputTokens }, candidate?.finishReason, maxOutputTokens);
+        if (isBudgetExhausted) {
+          // 客户端的输出额度已用完，返回已生成的文本，而不是继续续写
+          logEvent(config, "info", "output_budget_exhausted", { attempt: attempts, structuredOutput: true, outputTokens, maxOutputTokens });
+        }
+        // 提示词被拦截时没有候选，按 blockReason 处理
+        const finishReason = isBudgetExhausted ? "MAX_TOKENS" : candidate ? candidate.finishReason : responseJson?.promptFeedback?.blockReason;
+        const action = isBudgetExhausted ? "partial" : getFinishReasonAction(config, finishReason, { attempt: attempts, structuredOutput: true });
+        if (action === "fail" || action === "partial") {
+          // "fail" 不返回任何文本；"partial" 返回已生成但不完整的 JSON 文本
+          const stoppedCandidates = candidate ? [{
+            ...candidate,
+            content: { ...candidate.content, role: "model", parts: action === "partial" && accumulatedText ? [{ text: accumulatedText }] : [] },
+            finishReason,
+            index: 0,
+          }] : [];
+          return { responseJson: usage.apply({ ...responseJson, candidates: stoppedCandidates }), stopReason: finishReason };
+        }
+
+        if (action === "retry") {
+          // 丢弃本次尝试的输出，从本次尝试之前的文本重新生成
+          accumulatedText = textBefore;
+        } else if (lastCheck.isParsed) {
+          // JSON 已闭合但不符合 schema，续写无法修复，只能重新生成
+          logEvent(config, "debug", "structured_output_invalid", { attempt: attempts, errors: lastCheck.errors });
+          accumulatedText = "";
+        } else {
+          logEvent(config, "info", "truncation_detected", { attempt: attempts, structuredOutput: true, textLength: accumulatedText.length });
+        }
+        backoff.afterTruncation();
+      } else {
+        const errorText = await upstreamResponse.text();
+
+        if (isFatalUpstreamStatus(config, upstreamResponse.status)) {
+          return { error: { status: upstreamResponse.status, message: "Upstream API returned a fatal error.", details: errorText } };
+        }
+
+        const isRetryableStatus = RETRYABLE_STATUS_CODES.includes(upstreamResponse.status);
+        const maxRetriesForThisError = isRetryableStatus ? config.maxRetries : MAX_NON_RETRYABLE_STATUS_RETRIES;
+
+        if (attempts > maxRetriesForThisError) {
+          return { error: { status: upstreamResponse.status, message: "Upstream API error after max retries.", details: errorText } };
+        }
+        if (!backoff.afterError(getRetryAfterMs(upstreamResponse, errorText))) {
+          return { error: { status: upstreamResponse.status, message: "Upstream API asked to retry later than RETRY_AFTER_MAX_MS allows.", details: errorText } };
+        }
+      }
+    } catch (error) {
+      logEvent(config, "debug", "attempt_error", { attempt: attempts, structuredOutput: true, message: error.message });
+      if (signal.aborted) {
+        return { error: { status: 499, message: "Client disconnected.", details: null } };
+      }
+      if (isReadingBody) {
+        reportUpstreamBaseStatus(config, upstream.base, true);
+      }
+      if (attempts > MAX_FETCH_RETRIES) {
+        return { error: { status: 500, message: "Internal Server Error after max retries.", details: error.message } };
+      }
+      backoff.afterError();
+    }
+  }
+
+  return {
+    error: {
+      status: 502,
+      message: "Structured output is incomplete or does not match the responseSchema after max retries.",
+      details: { errors: lastCheck ? lastCheck.errors : [], partialText: accumulatedText },
+    },
+  };
+}
+
+/**
+ * 结构化输出请求的结果：error、按结束原因提前结束的 stopped，或 complete
+ * @param {object} result - The result of `runStructuredOutputRequest`.
+ * @returns {string}
+ */
+function getStructuredOutputOutcome(result) {
+  if (result.error) {
+    return "error";
+  }
+  return result.stopReason ? "stopped" : "complete";
+}
+
+/**
+ * 结构化输出只校验并返回单个候选，candidateCount 大于 1 时无法保证每个候选都是完整合法的 JSON，直接拒绝
+ * @param {object} config - The worker configuration.
+ * @param {object} originalRequestBody - The original request body.
+ * @returns {Response|null} A 400 response, or null when the request can be processed.
+ */
+function rejectMultipleStructuredCandidates(config, originalRequestBody) {
+  if (!(parseInt(originalRequestBody.generationConfig?.candidateCount, 10) > 1)) {
+    return null;
+  }
+  logRequestOutcome(config, "error", { status: 400, structuredOutput: true });
+  return jsonError(400, "candidateCount greater than 1 is not supported with responseSchema.");
+}
+
+/**
+ * 流式结构化输出：上游改用 generateContent，完整校验后一次性以单个 SSE 事件发送，
+ * 期间用 SSE 注释保持连接，保证客户端收到的要么是完整 JSON，要么是明确的错误事件。
+ * @param {Request} request - The original incoming request.
+ * @param {object} config - The worker configuration.
+ * @param {URL} url - The parsed URL of the request.
+ * @param {object} originalRequestBody - The original request body.
+ * @returns {Response} The SSE response.
+ */
+function streamStructuredOutput(request, config, url, originalRequestBody) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+
+  const searchParams = new URLSearchParams(url.search);
+  searchParams.delete("alt");
+  const query = searchParams.toString();
+  const upstreamPath = `${url.pathname.replace(":streamGenerateContent", ":generateContent")}${query ? `?${query}` : ""}`;
+
+  const heartbeatInterval = setInterval(() => {
+    writer.write(encoder.encode(": heartbeat\n\n")).catch(() => clearInterval(heartbeatInterval));
+  }, 5000);
+
+  runStructuredOutputRequest(request, config, upstreamPath, originalRequestBody).then(result => {
+    logRequestOutcome(config, getStructuredOutputOutcome(result), { status: result.error?.status, structuredOutput: true });
+    if (result.error) {
+      writer.write(encoder.encode(`event: error\ndata: ${JSON.stringify({ error: { code: result.error.status, message: result.error.message, details: result.error.details } })}\n\n`));
+    } else {
+      writer.write(encoder.encode(`data: ${JSON.stringify(result.responseJson)}\n\n`));
+    }
+  }).catch(e => {
+    logEvent(config, "error", "request_error", { status: 500, structuredOutput: true, message: e.message });
+    writer.write(encoder.encode(`event: error\ndata: ${JSON.stringify({ error: { code: 500, message: "Internal worker error.", details: e.message } })}\n\n`));
+  }).finally(() => {
+    clearInterval(heartbeatInterval);
+    writer.close().catch(() => { /* writer might already be closed */ });
+  });
+
+  return new Response(readable, {
+    status: 200,
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+    },
+  });
+}
 
 /**
  * Handles non-streaming requests with a retry mechanism.
  * @param {Request} request - The original incoming request.
  * @param {object} config - The worker configuration.
  * @param {URL} url - The parsed URL of the request.
+ * @param {object} route - The model routing decision from `resolveModelRoute`.
  * @returns {Promise<Response>}
  */
-export async function handleNonStreamingRequest(request, config, url) {
-  const isTargetModel = TARGET_MODELS.some(model => url.pathname.includes(`models/${model}:generateContent`));
-
-  if (!isTargetModel) {
-    logDebug(config.debugMode, "Passing through non-streaming request without modification.");
-    const upstreamUrl = `${config.upstreamUrlBase}${url.pathname}${url.search}`;
-    const upstreamRequest = new Request(upstreamUrl, request);
-    return fetch(upstreamRequest);
+export async function handleNonStreamingRequest(request, config, url, route) {
+  if (!route.isTarget) {
+    logEvent(config, "debug", "passthrough", { stream: false });
+    const upstream = buildUpstreamTarget(config, `${url.pathname}${url.search}`);
+    const upstreamRequest = buildPassthroughRequest(upstream.url, request, config);
+    return fetchUpstream(upstreamRequest, upstream.base, config);
   }
 
-  let attempts = 0;
   const originalRequestBody = await request.json();
+  const isStructuredOutput = isStructuredOutputRequest(originalRequestBody);
+
+  // 透传的结构化输出请求不经过防截断逻辑，与其他透传请求一样不计入指标
+  if (isStructuredOutput && config.structuredOutputMode === "passthrough") {
+    logEvent(config, "debug", "passthrough", { structuredOutput: true });
+    const upstream = buildUpstreamTarget(config, `${url.pathname}${url.search}`);
+    const upstreamRequest = buildUpstreamRequest(upstream.url, request, originalRequestBody, config);
+    return fetchUpstream(upstreamRequest, upstream.base, config);
+  }
+
+  config.metrics?.begin(route.model, false);
 
   // 检查是否为结构化输出请求
-  if (isStructuredOutputRequest(originalRequestBody)) {
-    logDebug(config.debugMode, "Structured output request detected. Passing through without modification.");
-    const upstreamUrl = `${config.upstreamUrlBase}${url.pathname}${url.search}`;
-    const upstreamRequest = buildUpstreamRequest(upstreamUrl, request, originalRequestBody);
-    return fetch(upstreamRequest);
+  if (isStructuredOutput) {
+    logEvent(config, "debug", "structured_output_detected", { stream: false });
+    const rejection = rejectMultipleStructuredCandidates(config, originalRequestBody);
+    if (rejection) {
+      return rejection;
+    }
+    const result = await runStructuredOutputRequest(request, config, `${url.pathname}${url.search}`, originalRequestBody);
+    logRequestOutcome(config, getStructuredOutputOutcome(result), { status: result.error?.status, structuredOutput: true });
+    if (result.error) {
+      return jsonError(result.error.status, result.error.message, result.error.details);
+    }
+    return new Response(JSON.stringify(result.responseJson), {
+      status: 200,
+      headers: { "Content-Type": "application/json; charset=utf-8" },
+    });
   }
 
   // 处理 thinkingBudget
@@ -64,6 +601,11 @@ export async function handleNonStreamingRequest(request, config, url) {
     injectBeginTokenPrompt = false;
   }
 
+  // 请求头可以覆盖是否注入 BEGIN_TOKEN
+  if (config.injectBegin !== null) {
+    injectBeginTokenPrompt = config.injectBegin;
+  }
+
   // 如果 thinkingBudget 存在且不为0，将其规范在128-32768之间
   if (originalThinkingBudget !== undefined && originalThinkingBudget !== 0) {
     if (originalThinkingBudget < 128) {
@@ -73,148 +615,253 @@ export async function handleNonStreamingRequest(request, config, url) {
     }
   }
 
-  let currentRequestBody = injectSystemPrompts(originalRequestBody, config, injectBeginTokenPrompt, true);
-  let thoughtAccumulatedText = injectBeginTokenPrompt ? config.startOfThought : "";
-  let formalAccumulatedText = "";
-  let isThoughtFinished = !injectBeginTokenPrompt;
-
-  logDebug(config.debugMode, "Starting non-streaming request handler.");
-
-  while (attempts <= config.maxRetries) {
-    attempts++;
-    logDebug(config.debugMode, `Non-streaming attempt ${attempts}/${config.maxRetries + 1}`);
+  const baseRequestBody = injectSystemPrompts(originalRequestBody, config, injectBeginTokenPrompt, true);
+  const candidateCount = Math.max(1, parseInt(originalRequestBody.generationConfig?.candidateCount, 10) || 1);
+  const maxOutputTokens = getMaxOutputTokens(originalRequestBody);
+  const states = Array.from({ length: candidateCount }, (_, index) => createCandidateState(index, injectBeginTokenPrompt, config));
+  let isInitialRequest = true;
+  let lastResponseJson = null;
+  const backoff = createRetryBackoff(config);
+  const usage = createUsageTracker();
+  const useUpstreamStream = config.nonStreamingUpstream === "stream";
+  const signal = watchClientDisconnect(request, config);
+  const upstreamPath = useUpstreamStream ? toStreamingUpstreamPath(url) : `${url.pathname}${url.search}`;
+
+  /**
+   * 按未完整结束的候选的结束原因决定：续写、从本次尝试开始前的进度重新生成，或带原始原因提前结束
+   */
+  const applyFinishReasonAction = (state, finishReason, attempts) => {
+    if (isOutputBudgetExhausted(state, finishReason, maxOutputTokens)) {
+      // 客户端的输出额度已用完，返回已生成的文本，而不是当作截断继续续写
+      logEvent(config, "info", "output_budget_exhausted", { attempt: attempts, candidate: state.index, outputTokens: state.outputTokens, maxOutputTokens });
+      state.isComplete = true;
+      state.stopReason = "MAX_TOKENS";
+      return;
+    }
+    const action = getFinishReasonAction(config, finishReason, { attempt: attempts, candidate: state.index });
+    if (action === "retry") {
+      restoreCheckpoint(state);
+    } else if (action === "fail" || action === "partial") {
+      state.isComplete = true;
+      state.stopReason = finishReason;
+      if (action === "fail") {
+        state.formalText = "";
+        state.extraParts = [];
+      }
+    } else {
+      logEvent(config, "info", "truncation_detected", { attempt: attempts, candidate: state.index, textLength: state.formalText.length });
+    }
+  };
 
-    const upstreamUrl = `${config.upstreamUrlBase}${url.pathname}${url.search}`;
-    logDebug(config.debugMode, `Upstream URL: ${upstreamUrl}`);
-    const upstreamRequest = buildUpstreamRequest(upstreamUrl, request, currentRequestBody);
+  while (true) {
+    const targets = selectTargets(states, isInitialRequest, config);
+    if (targets.length === 0) {
+      break;
+    }
+    await backoff.wait();
+    if (signal.aborted) {
+      // 调用方已离开，不再发起新的（计费的）尝试
+      logRequestOutcome(config, "client_disconnected", { attempts: states.map(state => state.attempts) });
+      return jsonError(499, "Client Closed Request", "The client disconnected before the response was complete.");
+    }
+    usage.startAttempt();
+    targets.forEach(state => {
+      state.attempts++;
+      state.seamPending = !isInitialRequest && state.isThoughtFinished && config.seamRepair;
+      saveCheckpoint(state);
+    });
+    const attempts = targets[0].attempts;
+
+    const upstream = buildUpstreamTarget(config, upstreamPath);
+    if (!isInitialRequest) {
+      logEvent(config, "info", "continuation", { attempt: attempts, candidate: targets[0].index, prefillLength: targets[0].continuationText.length });
+      config.metrics?.recordTruncationRetry();
+    }
+    const requestBody = isInitialRequest ? baseRequestBody : buildCandidateRetryRequest(baseRequestBody, targets[0], maxOutputTokens);
+    const upstreamRequest = buildUpstreamRequest(upstream.url, request, requestBody, config);
+    const attemptStartedAt = Date.now();
+    // 响应头已收到、正在读取响应体，此时的异常也计入上游地址的健康状态
+    let isReadingBody = false;
 
     try {
-      const upstreamResponse = await fetch(upstreamRequest);
+      const upstreamResponse = await fetchUpstream(upstreamRequest, upstream.base, config, { attempt: attempts, candidates: targets.map(state => state.index) }, signal);
 
       if (upstreamResponse.ok) {
-        const responseJson = await upstreamResponse.json();
-        // Parse parts to extract thoughts, response text, and function calls
-        const parts = responseJson?.candidates?.[0]?.content?.parts || [];
-
-        // Check if response contains function call
-        let hasFunctionCall = false;
-        for (const part of parts) {
-          if (part.functionCall) {
-            hasFunctionCall = true;
-            break;
+        let responseJson;
+        let streamError = null;
+        isReadingBody = true;
+        if (useUpstreamStream) {
+          // 流中途断开时，已收到的文本照常累积，并作为截断继续续写
+          ({ responseJson, error: streamError } = await readStreamedResponse(upstreamResponse.body, config, attemptStartedAt, { attempt: attempts }));
+          if (streamError) {
+            logEvent(config, "warn", "upstream_stream_interrupted", { attempt: attempts, message: streamError.message });
+            reportUpstreamBaseStatus(config, upstream.base, true);
           }
+        } else {
+          responseJson = await upstreamResponse.json();
         }
-
-        if (hasFunctionCall) {
-          logDebug(config.debugMode, "Non-streaming response contains function call. Returning as is.");
-          return new Response(JSON.stringify(responseJson), {
-            status: 200,
-            headers: { "Content-Type": "application/json; charset=utf-8", "Access-Control-Allow-Origin": "*" },
-          });
-        }
-
-        // Process each part in the parts array
-        for (const part of parts) {
-          if (part.text && !part.thought) {
-            if (!isThoughtFinished) {
-              // 思维尚未结束，检查当前text是否标记思维结束
-              if (isFormalResponseStarted(part.text)) {
-                isThoughtFinished = true;
-                // 将当前text添加到正式响应累积文本
-                formalAccumulatedText += part.text;
+        isReadingBody = false;
+        usage.record(responseJson.usageMetadata);
+        const candidates = responseJson?.candidates || [];
+
+        for (const [position, candidate] of candidates.entries()) {
+          const state = findCandidateState(states, targets, isInitialRequest, candidate, position);
+          if (!state || state.isComplete) {
+            continue;
+          }
+          state.candidateTemplate = candidate;
+          const formalTextBefore = state.formalText;
+          let attemptText = "";
+          let attemptOutputText = "";
+
+          // Parse parts to extract thoughts, response text, and function calls
+          const parts = candidate?.content?.parts || [];
+
+          // Process each part in the parts array
+          for (const part of parts) {
+            attemptOutputText += part.text || "";
+            if (part.functionCall) {
+              // 保留所有函数调用（包括并行调用），记录其相对正式文本的位置
+              logEvent(config, "debug", "function_call_detected", { attempt: attempts, candidate: state.index, name: part.functionCall.name });
+              state.extraParts.push({ offset: state.formalText.length, part });
+              state.hasFunctionCall = true;
+            } else if (isMediaPart(part)) {
+              // 图片、音频等输出在各次尝试间保留并按位置插回，但不影响完整性判断
+              state.extraParts.push({ offset: state.formalText.length, part });
+            } else if (part.text && !part.thought) {
+              attemptText += part.text;
+              if (!state.isThoughtFinished) {
+                state.continuationText += part.text;
+                // 思维尚未结束，检查当前text是否标记思维结束
+                if (isFormalResponseStarted(part.text, config.protocol)) {
+                  state.isThoughtFinished = true;
+                  // 将当前text添加到正式响应累积文本
+                  state.formalText += part.text;
+                } else {
+                  // 思维继续，累积到思维累积文本
+                  state.thoughtText += part.text;
+                }
               } else {
-                // 思维继续，累积到思维累积文本
-                thoughtAccumulatedText += part.text;
+                // 思维已经结束，在整个非流式处理中接下来收到的都是正式响应文本
+                let text = part.text;
+                if (config.seamRepair) {
+                  // 续写的开头与前文接缝，其余文本只去掉多余的协议标记
+                  text = state.seamPending
+                    ? repairContinuationSeam(state.continuationText, text, config.protocol)
+                    : stripStrayProtocolTokens(text, config.protocol);
+                  if (state.seamPending && text.length !== part.text.length) {
+                    logEvent(config, "debug", "seam_repaired", { attempt: attempts, candidate: state.index, removedLength: part.text.length - text.length });
+                  }
+                  state.seamPending = state.seamPending && !text.trim();
+                }
+                state.continuationText += text;
+                state.formalText += text;
               }
-            } else {
-              // 思维已经结束，在整个非流式处理中接下来收到的都是正式响应文本
-              formalAccumulatedText += part.text;
             }
           }
-        }
 
-        if (isThoughtFinished && isResponseComplete(formalAccumulatedText)) {
-          logDebug(config.debugMode, "Non-streaming response is complete.");
-          
-          // 检测客户端类型
-          const clientInfo = detectClientType(request);
-          logDebug(config.debugMode, `Client detected: ${clientInfo.userAgent}, compatibility mode: ${clientInfo.isCompatibilityMode}`);
-          
-          // Clean the final text and reconstruct the parts array
-          const finalParts = [];
-          // Add thought accumulated text
-          if (thoughtAccumulatedText) {
-            finalParts.push({ text: thoughtAccumulatedText, thought: true });
+          // 引用和 grounding 的索引相对本次尝试的文本，合并时平移到最终文本中的位置
+          const byteOffset = getAttemptByteOffset(formalTextBefore, state.formalText, attemptText, config.protocol);
+          state.metadata = mergeCandidateMetadata(state.metadata, pickCandidateMetadata(candidate), byteOffset);
+          state.outputTokens += countAttemptOutputTokens(targets.length === 1 ? responseJson.usageMetadata : undefined, attemptOutputText);
+
+          state.isComplete = state.hasFunctionCall || (state.isThoughtFinished && isResponseComplete(state.formalText, config.protocol));
+          logEvent(config, "debug", "candidate_checked", { attempt: attempts, candidate: state.index, isComplete: state.isComplete });
+          if (!state.isComplete) {
+            applyFinishReasonAction(state, candidate.finishReason, attempts);
           }
-          // Add the cleaned response text
-          finalParts.push({ text: cleanFinalText(formalAccumulatedText) });
-
-          // 应用兼容性清理
-          const cleanedParts = cleanResponseParts(finalParts, clientInfo.isCompatibilityMode);
-          responseJson.candidates[0].content.parts = cleanedParts;
-          
-          return new Response(JSON.stringify(responseJson), {
-            status: 200,
-            headers: { "Content-Type": "application/json; charset=utf-8", "Access-Control-Allow-Origin": "*" },
-          });
+        }
+
+        // 提示词被拦截时没有候选，按 blockReason 处理本轮的所有候选
+        const blockReason = responseJson?.promptFeedback?.blockReason;
+        if (blockReason && candidates.length === 0) {
+          targets.forEach(state => applyFinishReasonAction(state, blockReason, attempts));
+        }
+
+        isInitialRequest = false;
+        lastResponseJson = responseJson;
+        if (streamError) {
+          backoff.afterError();
         } else {
-          logDebug(config.debugMode, "Non-streaming response is incomplete. Preparing for retry.");
-          currentRequestBody = buildRetryRequest(currentRequestBody, thoughtAccumulatedText + formalAccumulatedText);
+          backoff.afterTruncation();
         }
       } else {
-        logDebug(config.debugMode, `Non-streaming attempt ${attempts} failed with status ${upstreamResponse.status}`);
+        const errorText = await upstreamResponse.text();
 
         // Check for fatal status codes first
-        if (FATAL_STATUS_CODES.includes(upstreamResponse.status)) {
-          logDebug(config.debugMode, `Fatal status ${upstreamResponse.status} received. Aborting retries.`);
-          return jsonError(upstreamResponse.status, "Upstream API returned a fatal error.", await upstreamResponse.text());
+        if (isFatalUpstreamStatus(config, upstreamResponse.status)) {
+          logRequestOutcome(config, "error", { status: upstreamResponse.status, attempts });
+          return jsonError(upstreamResponse.status, "Upstream API returned a fatal error.", errorText);
         }
 
         const isRetryableStatus = RETRYABLE_STATUS_CODES.includes(upstreamResponse.status);
         const maxRetriesForThisError = isRetryableStatus ? config.maxRetries : MAX_NON_RETRYABLE_STATUS_RETRIES;
 
         if (attempts > maxRetriesForThisError) {
-          return jsonError(upstreamResponse.status, "Upstream API error after max retries.", await upstreamResponse.text());
+          logRequestOutcome(config, "error", { status: upstreamResponse.status, attempts });
+          return jsonError(upstreamResponse.status, "Upstream API error after max retries.", errorText);
+        }
+        if (!backoff.afterError(getRetryAfterMs(upstreamResponse, errorText))) {
+          // 上游要求的等待时间过长，提前重试只会再次被限流
+          logRequestOutcome(config, "error", { status: upstreamResponse.status, attempts });
+          return jsonError(upstreamResponse.status, "Upstream API asked to retry later than RETRY_AFTER_MAX_MS allows.", errorText);
         }
       }
     } catch (error) {
-      logDebug(config.debugMode, `Fetch error during non-streaming attempt ${attempts}:`, error);
+      logEvent(config, "debug", "attempt_error", { attempt: attempts, message: error.message });
+      if (signal.aborted) {
+        logRequestOutcome(config, "client_disconnected", { attempts: states.map(state => state.attempts) });
+        return jsonError(499, "Client Closed Request", "The client disconnected before the response was complete.");
+      }
+      if (isReadingBody) {
+        reportUpstreamBaseStatus(config, upstream.base, true);
+      }
       if (attempts > MAX_FETCH_RETRIES) {
+        logRequestOutcome(config, "error", { status: 500, attempts, message: error.message });
         return jsonError(500, "Internal Server Error after max retries.", error.message);
       }
+      backoff.afterError();
     }
   }
 
-  // If the loop finishes, all retries have been used up.
-  logDebug(config.debugMode, "Max retries reached for non-streaming request.");
+  config.metrics?.recordIncomplete(states.filter(state => !state.isComplete).length);
+  logRequestOutcome(config, getOutcome(states), { attempts: states.map(state => state.attempts) });
 
   // 检测客户端类型
   const clientInfo = detectClientType(request);
-  logDebug(config.debugMode, `Final response - Client: ${clientInfo.userAgent}, compatibility: ${clientInfo.isCompatibilityMode}`);
-  
-  // Construct final response with all accumulated thought parts and incomplete text
-  const finalParts = [];
-  // Add thought accumulated text if it exists
-  if (thoughtAccumulatedText) {
-    finalParts.push({ text: thoughtAccumulatedText, thought: true });
-  }
-  // Add the incomplete text, ensuring any partial tokens are cleaned.
-  finalParts.push({ text: `${cleanFinalText(formalAccumulatedText)}\n${INCOMPLETE_TOKEN}` });
-
-  // 应用兼容性清理
-  const cleanedParts = cleanResponseParts(finalParts, clientInfo.isCompatibilityMode);
-  
-  const finalJson = {
-    candidates: [{
-      content: {
-        parts: cleanedParts
-      },
-      finishReason: "MAX_RETRIES"
-    }]
-  };
+  logEvent(config, "debug", "client_detected", { userAgent: clientInfo.userAgent, compatibilityMode: clientInfo.isCompatibilityMode });
+
+  // 按 index 顺序重新组装所有候选
+  const finalCandidates = states.map(state => {
+    const template = state.candidateTemplate || {};
+
+    // Clean the final text and reconstruct the parts array
+    const finalParts = [];
+    // Add thought accumulated text
+    if (state.thoughtText) {
+      finalParts.push({ text: state.thoughtText, thought: true });
+    }
+    // Add the cleaned response text together with function calls in their original order.
+    // Incomplete text gets the marker, ensuring any partial tokens are cleaned.
+    const suffix = state.isComplete ? "" : `\n${config.protocol.incompleteToken}`;
+    const responseParts = assembleResponseParts(state.formalText, config.protocol, state.extraParts, suffix);
+    // 提前结束的候选可能没有任何正式文本
+    finalParts.push(...(state.stopReason ? responseParts.filter(part => part.text !== "") : responseParts));
+
+    return {
+      ...template,
+      ...state.metadata,
+      // 应用兼容性清理
+      content: { ...template.content, role: "model", parts: cleanResponseParts(finalParts, clientInfo.isCompatibilityMode) },
+      finishReason: state.stopReason || (state.isComplete ? (template.finishReason || "STOP") : "MAX_RETRIES"),
+      index: state.index,
+    };
+  });
+
+  const finalJson = usage.apply({ ...lastResponseJson, candidates: finalCandidates });
   return new Response(JSON.stringify(finalJson), {
     status: 200, // Still a "successful" response from the proxy's perspective
-    headers: { "Content-Type": "application/json; charset=utf-8", "Access-Control-Allow-Origin": "*" },
+    headers: { "Content-Type": "application/json; charset=utf-8" },
   });
 }
 
@@ -223,31 +870,43 @@ export async function handleNonStreamingRequest(request, config, url) {
  * @param {Request} request - The original incoming request.
  * @param {object} config - The worker configuration.
  * @param {URL} url - The parsed URL of the request.
+ * @param {object} route - The model routing decision from `resolveModelRoute`.
  * @returns {Promise<Response>}
  */
-export async function handleStreamingRequest(request, config, url) {
-  const isTargetModel = TARGET_MODELS.some(model => url.pathname.includes(`models/${model}:streamGenerateContent`));
-
-  if (!isTargetModel) {
-    logDebug(config.debugMode, "Passing through streaming request without modification.");
-    const upstreamUrl = `${config.upstreamUrlBase}${url.pathname}${url.search}`;
-    const upstreamRequest = new Request(upstreamUrl, request);
-    return fetch(upstreamRequest);
+export async function handleStreamingRequest(request, config, url, route) {
+  if (!route.isTarget) {
+    logEvent(config, "debug", "passthrough", { stream: true });
+    const upstream = buildUpstreamTarget(config, `${url.pathname}${url.search}`);
+    const upstreamRequest = buildPassthroughRequest(upstream.url, request, config);
+    return fetchUpstream(upstreamRequest, upstream.base, config);
   }
 
   const originalRequestBody = await request.json();
+  const isStructuredOutput = isStructuredOutputRequest(originalRequestBody);
+
+  // 透传的结构化输出请求不经过防截断逻辑，与其他透传请求一样不计入指标
+  if (isStructuredOutput && config.structuredOutputMode === "passthrough") {
+    logEvent(config, "debug", "passthrough", { structuredOutput: true });
+    const upstream = buildUpstreamTarget(config, `${url.pathname}${url.search}`);
+    const upstreamRequest = buildUpstreamRequest(upstream.url, request, originalRequestBody, config);
+    return fetchUpstream(upstreamRequest, upstream.base, config);
+  }
+
+  config.metrics?.begin(route.model, true);
 
   // 检查是否为结构化输出请求
-  if (isStructuredOutputRequest(originalRequestBody)) {
-    logDebug(config.debugMode, "Structured output request detected. Passing through without modification.");
-    const upstreamUrl = `${config.upstreamUrlBase}${url.pathname}${url.search}`;
-    const upstreamRequest = buildUpstreamRequest(upstreamUrl, request, originalRequestBody);
-    return fetch(upstreamRequest);
+  if (isStructuredOutput) {
+    logEvent(config, "debug", "structured_output_detected", { stream: true });
+    const rejection = rejectMultipleStructuredCandidates(config, originalRequestBody);
+    if (rejection) {
+      return rejection;
+    }
+    return streamStructuredOutput(request, config, url, originalRequestBody);
   }
 
   // 检测客户端类型
   const clientInfo = detectClientType(request);
-  logDebug(config.debugMode, `Streaming client detected: ${clientInfo.userAgent}, compatibility mode: ${clientInfo.isCompatibilityMode}`);
+  logEvent(config, "debug", "client_detected", { userAgent: clientInfo.userAgent, compatibilityMode: clientInfo.isCompatibilityMode });
 
   // 处理 thinkingBudget
   let injectBeginTokenPrompt = true;
@@ -258,6 +917,11 @@ export async function handleStreamingRequest(request, config, url) {
     injectBeginTokenPrompt = false;
   }
 
+  // 请求头可以覆盖是否注入 BEGIN_TOKEN
+  if (config.injectBegin !== null) {
+    injectBeginTokenPrompt = config.injectBegin;
+  }
+
   // 如果 thinkingBudget 存在且不为0，将其规范在128-32768之间
   if (originalThinkingBudget !== undefined && originalThinkingBudget !== 0) {
     if (originalThinkingBudget < 128) {
@@ -267,56 +931,347 @@ export async function handleStreamingRequest(request, config, url) {
     }
   }
 
-  let isThoughtFinished = !injectBeginTokenPrompt;
-
-  logDebug(config.debugMode, "Starting streaming request handler.");
+  const baseRequestBody = injectSystemPrompts(originalRequestBody, config, injectBeginTokenPrompt, true);
+  const candidateCount = Math.max(1, parseInt(originalRequestBody.generationConfig?.candidateCount, 10) || 1);
+  const maxOutputTokens = getMaxOutputTokens(originalRequestBody);
+  const states = Array.from({ length: candidateCount }, (_, index) => createCandidateState(index, injectBeginTokenPrompt, config));
 
   const { readable, writable } = new TransformStream();
   const writer = writable.getWriter();
   const encoder = new TextEncoder();
   const decoder = new TextDecoder();
 
-  const TOKEN_LEN = FINISHED_TOKEN.length;
+  const { protocol } = config;
+  const TOKEN_LEN = protocol.finishedToken.length;
   const LOOKAHEAD_SIZE = TOKEN_LEN + 4;
+  const usage = createUsageTracker();
+  const signal = watchClientDisconnect(request, config, writer);
+
+  /**
+   * 处理单个候选的一条 SSE 数据（已拆分为只包含一个候选），放入该候选的缓冲区
+   */
+  const bufferCandidateLine = (state, data, attempts) => {
+    const parts = data.candidates?.[0]?.content?.parts || [];
+    const parsedParts = parseParts(parts);
+    state.attemptFinishReason = data.candidates?.[0]?.finishReason || state.attemptFinishReason;
+    state.attemptOutputText += parts.map(part => part.text || "").join("");
+    state.attemptMetadata = mergeCandidateMetadata(state.attemptMetadata, pickCandidateMetadata(data.candidates?.[0]), 0);
+
+    if (parsedParts.hasThought && !parsedParts.responseText && !parsedParts.hasFunctionCall && !parsedParts.hasMedia) {
+      return;
+    }
 
-  const process = async () => {
-    let attempts = 0;
-    let currentRequestBody = injectSystemPrompts(originalRequestBody, config, injectBeginTokenPrompt, true);
+    if (parsedParts.hasFunctionCall) {
+      // 函数调用与文本一起缓冲，保持原有顺序，函数调用本身即视为响应结束
+      logEvent(config, "debug", "function_call_detected", { attempt: attempts, candidate: state.index, name: parsedParts.functionCalls.map(call => call.name).join(", ") });
+      state.hasFunctionCall = true;
+    }
+
+    let responseText = parsedParts.responseText || "";
+    let isTransitionLine = false;
+    if (!state.isThoughtFinished && isFormalResponseStarted(responseText, protocol)) {
+      state.isThoughtFinished = true;
+      isTransitionLine = true;
+      logEvent(config, "debug", "thought_finished", { attempt: attempts, candidate: state.index });
+    }
+
+    // 记录本次尝试开头没有进入正式文本的部分，用于平移元数据中的片段索引
+    if (!state.hasAttemptFormalText) {
+      if (isTransitionLine) {
+        state.attemptDroppedText += responseText.slice(0, responseText.length - cleanFinalText(responseText, protocol, true, false).length);
+        state.hasAttemptFormalText = true;
+      } else if (!state.isThoughtFinished) {
+        state.attemptDroppedText += responseText;
+      } else if (!state.seamPending && responseText) {
+        state.hasAttemptFormalText = true;
+      }
+    }
+
+    if (parts.length > 0) {
+      // Step 1: Filter out parts that are explicitly marked as thought, keeping images and audio.
+      const processedParts = parts.filter(part => !part.thought || isMediaPart(part));
+
+      // Step 2: If the thought phase is not finished, all remaining text parts are considered thoughts.
+      if (!state.isThoughtFinished) {
+        processedParts.forEach(part => {
+          // Mark any part with text as a thought.
+          if (part.text) {
+            part.thought = true;
+          }
+        });
+      }
+
+      data.candidates[0].content.parts = processedParts;
+
+      if (state.isThoughtFinished && !isTransitionLine && config.seamRepair) {
+        if (state.seamPending) {
+          // 续写的开头先暂存，攒够窗口长度或遇到函数调用、图片等非文本输出时再与前文接缝
+          state.seamText += responseText;
+          state.seamData = data;
+          if (state.seamText.length >= SEAM_REPAIR_LIMITS.streamWindow || parsedParts.hasFunctionCall || parsedParts.hasMedia) {
+            flushSeam(state, attempts);
+          }
+          return;
+        }
+        processedParts.forEach(part => {
+          if (part.text) {
+            part.text = stripStrayProtocolTokens(part.text, protocol);
+          }
+        });
+        responseText = processedParts.map(part => part.text || "").join("");
+      }
+    }
+
+    state.linesBuffer.push({ rawLine: `data: ${JSON.stringify(data)}`, isTransitionLine, text: responseText });
+    state.textBuffer += responseText;
+  };
+
+  /**
+   * 已转发给客户端的正式文本（continuationText 中开始标记之后的部分）
+   */
+  const getForwardedFormalText = (state) => {
+    const beginIndex = state.continuationText.indexOf(protocol.beginToken);
+    if (beginIndex === -1) {
+      return injectBeginTokenPrompt ? "" : state.continuationText;
+    }
+    return cleanFinalText(state.continuationText.slice(beginIndex), protocol, true, false);
+  };
+
+  /**
+   * 将暂存的续写开头与已转发的文本接缝，作为一行放入缓冲区
+   */
+  const flushSeam = (state, attempts) => {
+    state.seamPending = false;
+    if (!state.seamData) {
+      return;
+    }
+    const text = repairContinuationSeam(state.continuationText, state.seamText, protocol);
+    if (!state.hasAttemptFormalText) {
+      state.attemptDroppedText += state.seamText.slice(0, state.seamText.length - text.length);
+      state.hasAttemptFormalText = true;
+    }
+    if (text.length !== state.seamText.length) {
+      logEvent(config, "debug", "seam_repaired", { attempt: attempts, candidate: state.index, removedLength: state.seamText.length - text.length });
+    }
+    const data = state.seamData;
+    const otherParts = data.candidates[0].content.parts.filter(part => part.text === undefined);
+    data.candidates[0].content.parts = text ? [{ text }, ...otherParts] : otherParts;
+    state.linesBuffer.push({ rawLine: `data: ${JSON.stringify(data)}`, isTransitionLine: false, text });
+    state.textBuffer += text;
+    state.seamText = "";
+    state.seamData = null;
+  };
+
+  /**
+   * Lookahead and safe forwarding: 只转发不可能包含结束标记的部分
+   */
+  const forwardSafeLines = (state) => {
+    if (state.textBuffer.length <= LOOKAHEAD_SIZE) {
+      return;
+    }
+
+    const safeTextLength = state.textBuffer.length - LOOKAHEAD_SIZE;
+    let forwardedTextLength = 0;
+
+    while (state.linesBuffer.length > 0) {
+      const lineObject = state.linesBuffer[0];
+      if (forwardedTextLength + lineObject.text.length <= safeTextLength) {
+        state.linesBuffer.shift(); // Remove from buffer
+
+        if (lineObject.isTransitionLine) {
+          const data = JSON.parse(lineObject.rawLine.substring(5).trim());
+          const cleanedBeginText = cleanFinalText(lineObject.text, protocol, true, false);
+          // 只替换文本，保留同一行中的函数调用
+          const otherParts = data.candidates[0].content.parts.filter(part => part.text === undefined);
+          data.candidates[0].content.parts = [{ text: cleanedBeginText }, ...otherParts];
+          const cleanedLine = `data: ${JSON.stringify(data)}`;
+          writer.write(encoder.encode(cleanedLine + '\n\n'));
+          state.continuationText += protocol.beginToken + "\n" + cleanedBeginText;
+        } else {
+          writer.write(encoder.encode(lineObject.rawLine + '\n\n'));
+          state.continuationText += lineObject.text;
+        }
+
+        forwardedTextLength += lineObject.text.length;
+      } else {
+        break;
+      }
+    }
+    state.textBuffer = state.textBuffer.slice(forwardedTextLength);
+  };
+
+  /**
+   * 将缓冲区中尚未转发的非文本输出（图片、音频等）单独作为一行发送
+   */
+  const forwardBufferedMedia = (state) => {
+    const mediaParts = state.linesBuffer.flatMap(lineObject => {
+      const data = JSON.parse(lineObject.rawLine.substring(5).trim());
+      return (data.candidates?.[0]?.content?.parts || []).filter(isMediaPart);
+    });
+    if (mediaParts.length > 0) {
+      writer.write(encoder.encode(`data: ${JSON.stringify({ candidates: [{ content: { parts: mediaParts, role: "model" }, index: state.index }] })}\n\n`));
+    }
+  };
+
+  /**
+   * 候选已完整结束，用缓冲区中剩余的行构建该候选的最终数据包
+   */
+  const writeFinalPayload = (state, finishReason = "STOP") => {
+    // Accumulate all thought text from the remaining lines in the buffer.
+    let thoughtTextBuffer = "";
+    let responseTextBuffer = "";
+    const extraParts = [];
+    for (const lineObject of state.linesBuffer) {
+      try {
+        const line = lineObject.rawLine;
+        if (line.startsWith('data:')) {
+          const data = JSON.parse(line.substring(5).trim());
+          const parts = data?.candidates?.[0]?.content?.parts || [];
+          for (const part of parts) {
+            if (part.thought && part.text) {
+              thoughtTextBuffer += part.text;
+            }
+            else if (!part.thought && part.text) {
+              responseTextBuffer += part.text;
+            }
+            else if (part.functionCall || isMediaPart(part)) {
+              extraParts.push({ offset: responseTextBuffer.length, part });
+            }
+          }
+        }
+      } catch (e) { /* ignore malformed lines */ }
+    }
 
-    while (attempts <= config.maxRetries) {
-      attempts++;
-      logDebug(config.debugMode, `Streaming attempt ${attempts}/${config.maxRetries + 1}`);
+    let finalPayload = null;
+    // Find the last valid line to use as a template for metadata.
+    for (let i = state.linesBuffer.length - 1; i >= 0; i--) {
+      try {
+        const line = state.linesBuffer[i].rawLine;
+        if (line.startsWith('data:')) {
+          finalPayload = JSON.parse(line.substring(5).trim());
+          break;
+        }
+      } catch (e) { /* ignore */ }
+    }
 
-      let accumulatedTextThisAttempt = (injectBeginTokenPrompt && attempts === 1) ? config.startOfThought : "";
-      accumulatedTextThisAttempt && writer.write(encoder.encode(`data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text: accumulatedTextThisAttempt, thought: true }], role: "model" }, index: 0 }] })}\n\n`));
-      let hasFunctionCallInStream = false;
-      let passthroughMode = false;
+    // If no valid template was found, create a default one.
+    if (!finalPayload || !finalPayload.candidates?.[0]) {
+      finalPayload = {
+        ...finalPayload,
+        candidates: [{ content: { parts: [], role: "model" }, finishReason: "STOP", index: state.index }]
+      };
+    }
+
+    const finalParts = [];
+    if (thoughtTextBuffer) {
+      finalParts.push({ text: thoughtTextBuffer, thought: true });
+    }
+    // 清理后的文本与函数调用按原顺序组合，跳过空文本
+    finalParts.push(...assembleResponseParts(responseTextBuffer, protocol, extraParts).filter(part => part.text !== ""));
+
+    // 应用兼容性清理
+    const cleanedParts = cleanResponseParts(finalParts, clientInfo.isCompatibilityMode);
+    finalPayload.candidates[0].content = { ...finalPayload.candidates[0].content, parts: cleanedParts };
+    Object.assign(finalPayload.candidates[0], state.metadata);
+    finalPayload.candidates[0].finishReason = finishReason;
+    finalPayload.candidates[0].index = state.index;
+    usage.apply(finalPayload);
+
+    writer.write(encoder.encode(`data: ${JSON.stringify(finalPayload)}\n\n`));
+  };
+
+  const process = async () => {
+    let isInitialRequest = true;
+    const backoff = createRetryBackoff(config);
+    // 当前尝试的上游 reader；客户端断开时取消它，监听只注册一次
+    let activeReader = null;
+    signal.addEventListener("abort", () => activeReader?.cancel().catch(() => { /* already closed */ }), { once: true });
+
+    while (true) {
+      if (signal.aborted) {
+        // 客户端已断开，没有人会读取后续输出，不再发起新的（计费的）尝试
+        logRequestOutcome(config, "client_disconnected", { attempts: states.map(state => state.attempts) });
+        writer.close().catch(() => { /* writer might already be closed */ });
+        return;
+      }
+      const targets = selectTargets(states, isInitialRequest, config);
+      if (targets.length === 0) {
+        break;
+      }
+      await backoff.wait();
+      usage.startAttempt();
+      targets.forEach(state => state.attempts++);
+      const attempts = targets[0].attempts;
+
+      for (const state of targets) {
+        // 思维链引导词只需发送一次
+        if (injectBeginTokenPrompt && !state.hasSentStartOfThought) {
+          state.hasSentStartOfThought = true;
+          writer.write(encoder.encode(`data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text: config.startOfThought, thought: true }], role: "model" }, index: state.index }] })}\n\n`));
+        }
+        // --- Buffers for the current attempt ---
+        state.textBuffer = ""; // Buffer for lookahead
+        state.linesBuffer = []; // Buffer of objects: { rawLine, isTransitionLine, text }
+        state.seamPending = !isInitialRequest && state.isThoughtFinished && config.seamRepair;
+        state.seamText = "";
+        state.seamData = null;
+        state.attemptMetadata = {};
+        state.attemptOffsetBase = utf8Length(getForwardedFormalText(state));
+        state.attemptDroppedText = "";
+        state.hasAttemptFormalText = false;
+        state.attemptFinishReason = null;
+        state.attemptOutputText = "";
+        saveCheckpoint(state);
+      }
 
-      // --- Buffers for the current attempt ---
       let lineBuffer = "";
-      let textBuffer = ""; // Buffer for lookahead
-      let linesBuffer = []; // Buffer of objects: { rawLine, isTransitionLine, text }
 
-      const upstreamUrl = `${config.upstreamUrlBase}${url.pathname}${url.search}`;
-      const upstreamRequest = buildUpstreamRequest(upstreamUrl, request, currentRequestBody);
+      const upstream = buildUpstreamTarget(config, `${url.pathname}${url.search}`);
+      if (!isInitialRequest) {
+        logEvent(config, "info", "continuation", { attempt: attempts, candidate: targets[0].index, prefillLength: targets[0].continuationText.length });
+        config.metrics?.recordTruncationRetry();
+      }
+      const requestBody = isInitialRequest ? baseRequestBody : buildCandidateRetryRequest(baseRequestBody, targets[0], maxOutputTokens);
+      const upstreamRequest = buildUpstreamRequest(upstream.url, request, requestBody, config);
+      const attemptStartedAt = Date.now();
+      // 响应头已收到、正在读取响应体，此时的异常也计入上游地址的健康状态
+      let isReadingBody = false;
 
       try {
-        const upstreamResponse = await fetch(upstreamRequest);
+        const upstreamResponse = await fetchUpstream(upstreamRequest, upstream.base, config, { attempt: attempts, candidates: targets.map(state => state.index) }, signal);
 
         if (upstreamResponse.ok) {
+          isReadingBody = true;
           const reader = upstreamResponse.body.getReader();
+          activeReader = reader;
+          const currentIsInitialRequest = isInitialRequest;
+          isInitialRequest = false;
+          let hasReceivedChunk = false;
+          // 提示词被拦截时上游只返回 promptFeedback，没有候选
+          let blockReason = null;
+          // 本次尝试上游返回的用量（转发给客户端前会被替换为累计值）
+          let attemptUsageMetadata;
 
           while (true) {
-            const { value, done } = await reader.read();
+            // 首个数据块的超时从本次尝试开始计算，之后按两个数据块之间的间隔计算
+            const timeoutMs = hasReceivedChunk
+              ? config.streamIdleTimeoutMs
+              : config.streamFirstChunkTimeoutMs && Math.max(1, config.streamFirstChunkTimeoutMs - (Date.now() - attemptStartedAt));
+            const result = await readWithTimeout(reader, timeoutMs);
+            if (result === null) {
+              // 上游停止发送但未关闭连接：取消读取，按流结束处理，未完成的候选会续写
+              logEvent(config, "warn", "upstream_stream_stalled", { attempt: attempts, phase: hasReceivedChunk ? "idle" : "first_chunk", timeoutMs: hasReceivedChunk ? config.streamIdleTimeoutMs : config.streamFirstChunkTimeoutMs });
+              reader.cancel().catch(() => { /* the stream may already be errored */ });
+            }
+            if (signal.aborted) {
+              break;
+            }
+            const { value, done } = result || { done: true };
+            hasReceivedChunk = hasReceivedChunk || Boolean(value);
 
             if (value) {
               const chunkString = decoder.decode(value, { stream: true });
 
-              if (passthroughMode) {
-                writer.write(encoder.encode(chunkString));
-                continue;
-              }
-
               const processableString = lineBuffer + chunkString;
               const lines = processableString.split(/\r?\n\r?\n/);
               lineBuffer = lines.pop() || "";
@@ -332,238 +1287,164 @@ export async function handleStreamingRequest(request, config, url) {
 
                 try {
                   const data = JSON.parse(jsonStr);
-                  const parts = data?.candidates?.[0]?.content?.parts || [];
-                  const parsedParts = parseParts(parts);
-
-                  if (parsedParts.hasFunctionCall) {
-                    hasFunctionCallInStream = true;
-                  }
-
-                  if (parsedParts.hasThought && !parsedParts.responseText && !parsedParts.hasFunctionCall) {
-                    logDebug(config.debugMode, "Skipping garbage thought-only part.");
-                    continue;
-                  }
-
-                  if (hasFunctionCallInStream && !passthroughMode) {
-                    logDebug(config.debugMode, "Function call detected. Switching to passthrough mode.");
-                    // Forward all buffered lines immediately
-                    if (linesBuffer.length > 0) {
-                      for (const lineObj of linesBuffer) {
-                        writer.write(encoder.encode(lineObj.rawLine + '\n\n'));
-                      }
-                      linesBuffer = [];
-                      textBuffer = "";
-                    }
-                    writer.write(encoder.encode(line + '\n\n'));
-                    passthroughMode = true;
-                    continue;
+                  blockReason = data.promptFeedback?.blockReason || blockReason;
+                  if (data.usageMetadata) {
+                    // 转发给客户端的用量始终是截至目前所有尝试的累计值
+                    attemptUsageMetadata = data.usageMetadata;
+                    usage.record(data.usageMetadata);
+                    data.usageMetadata = usage.totals();
                   }
+                  const candidates = data?.candidates?.length ? data.candidates : [{ index: 0 }];
 
-                  const responseText = parsedParts.responseText || "";
-                  let isTransitionLine = false;
-                  if (!isThoughtFinished && isFormalResponseStarted(responseText)) {
-                    isThoughtFinished = true;
-                    isTransitionLine = true;
-                    accumulatedTextThisAttempt += BEGIN_TOKEN + "\n";
-                    logDebug(config.debugMode, "Thought finished. Transition line detected.");
-                  }
+                  // 将包含多个候选的数据行拆分为每个候选一行，各自缓冲
+                  for (const [position, candidate] of candidates.entries()) {
+                    const state = findCandidateState(states, targets, currentIsInitialRequest, candidate, position);
+                    if (!state) continue;
 
-                  let lineToStore = line;
-                  try {
-                    const data = JSON.parse(jsonStr);
-                    const parts = data?.candidates?.[0]?.content?.parts;
-
-                    if (Array.isArray(parts)) {
-                      let wasModified = false;
-
-                      // Step 1: Filter out parts that are explicitly marked as thought.
-                      let processedParts = parts.filter(part => !part.thought);
-                      if (processedParts.length < parts.length) {
-                        wasModified = true;
-                      }
-
-                      // Step 2: If the thought phase is not finished, all remaining text parts are considered thoughts.
-                      if (!isThoughtFinished) {
-                        let markedAsThought = false;
-                        processedParts.forEach(part => {
-                          // Mark any part with text as a thought.
-                          if (part.text) {
-                            part.thought = true;
-                            markedAsThought = true;
-                          }
-                        });
-                        if (markedAsThought) {
-                          wasModified = true;
-                        }
-                      }
+                    const candidateData = data.candidates?.length
+                      ? { ...data, candidates: [{ ...candidate, index: state.index }] }
+                      : data;
 
-                      if (wasModified) {
-                        data.candidates[0].content.parts = processedParts;
-                        lineToStore = `data: ${JSON.stringify(data)}`;
-                      }
-                    }
-                  } catch (e) {
-                    logDebug(config.debugMode, "Could not process thought parts, storing raw line.", e);
+                    bufferCandidateLine(state, candidateData, attempts);
                   }
-                  linesBuffer.push({ rawLine: lineToStore, isTransitionLine, text: responseText });
-                  textBuffer += responseText;
-                  attempts > 1 && logDebug(config.debugMode, "responseText:", responseText);
-
                 } catch (e) {
-                  logDebug(config.debugMode, "Error processing SSE line, forwarding as is.", line, e);
+                  logEvent(config, "debug", "sse_line_forwarded", { attempt: attempts, reason: "parse_error", message: e.message });
                   writer.write(encoder.encode(line + '\n\n'));
                 }
               }
 
-              // --- Lookahead and Safe Forwarding ---
-              if (textBuffer.length > LOOKAHEAD_SIZE) {
-                const safeTextLength = textBuffer.length - LOOKAHEAD_SIZE;
-                let forwardedTextLength = 0;
-
-                while (linesBuffer.length > 0) {
-                  const lineObject = linesBuffer[0];
-                  if (forwardedTextLength + lineObject.text.length <= safeTextLength) {
-                    linesBuffer.shift(); // Remove from buffer
-
-                    if (lineObject.isTransitionLine) {
-                      const data = JSON.parse(lineObject.rawLine.substring(5).trim());
-                      const cleanedBeginText = cleanFinalText(lineObject.text, true, false);
-                      data.candidates[0].content.parts = [{ text: cleanedBeginText }];
-                      const cleanedLine = `data: ${JSON.stringify(data)}`;
-                      writer.write(encoder.encode(cleanedLine + '\n\n'));
-                      accumulatedTextThisAttempt += cleanedBeginText;
-                    } else {
-                      writer.write(encoder.encode(lineObject.rawLine + '\n\n'));
-                      accumulatedTextThisAttempt += lineObject.text;
-                    }
-
-                    forwardedTextLength += lineObject.text.length;
-                  } else {
-                    break;
-                  }
-                }
-                textBuffer = textBuffer.slice(forwardedTextLength);
-              }
+              targets.forEach(forwardSafeLines);
             }
 
             if (done) {
-              if (passthroughMode) {
-                writer.close();
-                return;
-              }
-
-              if (isThoughtFinished && isResponseComplete(textBuffer)) {
-                logDebug(config.debugMode, "Streaming response is complete. Constructing final payload from buffers. textBuffer:", textBuffer);
-
-                // Accumulate all thought text from the remaining lines in the buffer.
-                let thoughtTextBuffer = "";
-                let responseTextBuffer = "";
-                for (const lineObject of linesBuffer) {
-                  try {
-                    const line = lineObject.rawLine;
-                    if (line.startsWith('data:')) {
-                      const data = JSON.parse(line.substring(5).trim());
-                      const parts = data?.candidates?.[0]?.content?.parts || [];
-                      for (const part of parts) {
-                        if (part.thought && part.text) {
-                          thoughtTextBuffer += part.text;
-                        }
-                        else if (!part.thought && part.text) {
-                          responseTextBuffer += part.text;
+              for (const state of targets) {
+                if (state.seamPending) {
+                  flushSeam(state, attempts);
+                }
+                const byteOffset = state.attemptOffsetBase - utf8Length(state.attemptDroppedText);
+                state.outputTokens += countAttemptOutputTokens(targets.length === 1 ? attemptUsageMetadata : undefined, state.attemptOutputText);
+                if (state.hasFunctionCall || (state.isThoughtFinished && isResponseComplete(state.textBuffer, protocol))) {
+                  state.metadata = mergeCandidateMetadata(state.metadata, state.attemptMetadata, byteOffset);
+                  writeFinalPayload(state);
+                  state.isComplete = true;
+                } else {
+                  const isBudgetExhausted = isOutputBudgetExhausted(state, state.attemptFinishReason, maxOutputTokens);
+                  if (isBudgetExhausted) {
+                    // 客户端的输出额度已用完，缓冲区中的文本作为最终数据包发送，而不是当作截断继续续写
+                    logEvent(config, "info", "output_budget_exhausted", { attempt: attempts, candidate: state.index, outputTokens: state.outputTokens, maxOutputTokens });
+                  }
+                  const finishReason = isBudgetExhausted ? "MAX_TOKENS" : state.attemptFinishReason || blockReason;
+                  let action = isBudgetExhausted ? "partial" : getFinishReasonAction(config, finishReason, { attempt: attempts, candidate: state.index });
+                  if (action === "retry" && state.continuationText !== state.checkpoint.continuationText) {
+                    // 本次尝试已有文本转发给客户端，无法撤回，只能从已转发的位置续写
+                    logEvent(config, "warn", "finish_reason_action_downgraded", { attempt: attempts, candidate: state.index, finishReason, action, appliedAction: "continue" });
+                    action = "continue";
+                  }
+                  if (action === "fail" || action === "partial") {
+                    // 已转发的文本无法撤回；"fail" 丢弃缓冲区中尚未转发的内容，"partial" 将其作为最终数据包发送
+                    if (action === "fail") {
+                      // 只保留最后一行作为最终数据包的模板（其中可能带有 promptFeedback）
+                      state.linesBuffer = state.linesBuffer.slice(-1).map(lineObject => {
+                        const data = JSON.parse(lineObject.rawLine.substring(5).trim());
+                        if (data.candidates?.[0]?.content) {
+                          data.candidates[0].content.parts = [];
                         }
-                      }
+                        return { ...lineObject, rawLine: `data: ${JSON.stringify(data)}`, text: "" };
+                      });
+                      state.metadata = mergeCandidateMetadata(state.metadata, state.attemptMetadata, byteOffset, utf8Length(getForwardedFormalText(state)));
+                    } else {
+                      state.metadata = mergeCandidateMetadata(state.metadata, state.attemptMetadata, byteOffset);
                     }
-                  } catch (e) { /* ignore malformed lines */ }
-                }
-
-                let finalPayload = null;
-                // Find the last valid line to use as a template for metadata.
-                for (let i = linesBuffer.length - 1; i >= 0; i--) {
-                  try {
-                    const line = linesBuffer[i].rawLine;
-                    if (line.startsWith('data:')) {
-                      finalPayload = JSON.parse(line.substring(5).trim());
-                      break;
+                    writeFinalPayload(state, finishReason);
+                    state.isComplete = true;
+                    state.stopReason = finishReason;
+                  } else if (action === "retry") {
+                    // 本次尝试还没有转发任何文本，丢弃缓冲区并从同一位置重新生成；
+                    // 缓冲区一并清空，达到最大重试次数时不会再把被丢弃的文本发出去
+                    restoreCheckpoint(state);
+                    state.linesBuffer = [];
+                    state.textBuffer = "";
+                  } else {
+                    // The stream ended, but the buffered text is not a complete response.
+                    // This means the model was cut off. Time to retry.
+                    logEvent(config, "info", "truncation_detected", { attempt: attempts, candidate: state.index, textLength: state.continuationText.length + state.textBuffer.length });
+                    // 未转发的缓冲内容会被丢弃，但思维已结束，续写时仍需以 BEGIN_TOKEN 开头
+                    if (state.linesBuffer.some(lineObject => lineObject.isTransitionLine)) {
+                      state.continuationText += protocol.beginToken + "\n";
                     }
-                  } catch (e) { /* ignore */ }
-                }
-
-                // If no valid template was found, create a default one.
-                if (!finalPayload) {
-                  finalPayload = {
-                    candidates: [{ content: { parts: [], role: "model" }, finishReason: "STOP", index: 0 }]
-                  };
-                }
-
-                const finalText = cleanFinalText(responseTextBuffer);
-                const finalParts = [];
-                if (thoughtTextBuffer) {
-                  finalParts.push({ text: thoughtTextBuffer, thought: true });
-                }
-                if (finalText) {
-                  finalParts.push({ text: finalText });
+                    // 续写只会重新生成文本，缓冲区中的图片、音频等输出需要先发给客户端
+                    forwardBufferedMedia(state);
+                    // 未转发的文本被丢弃，指向这部分文本的片段也不再保留
+                    state.metadata = mergeCandidateMetadata(state.metadata, state.attemptMetadata, byteOffset, utf8Length(getForwardedFormalText(state)));
+                  }
                 }
-
-                // 应用兼容性清理
-                const cleanedParts = cleanResponseParts(finalParts, clientInfo.isCompatibilityMode);
-                finalPayload.candidates[0].content.parts = cleanedParts;
-                finalPayload.candidates[0].finishReason = "STOP";
-
-                writer.write(encoder.encode(`data: ${JSON.stringify(finalPayload)}\n\n`));
-                writer.close();
-                return; // Success, stream finished.
-              } else {
-                // The stream ended, but the buffered text is not a complete response.
-                // This means the model was cut off. Time to retry.
-                logDebug(config.debugMode, `Streaming response is incomplete. Preparing for retry. textBuffer:`, textBuffer);
-                currentRequestBody = buildRetryRequest(currentRequestBody, accumulatedTextThisAttempt);
-                break; // Break inner while to start next retry attempt
               }
+              backoff.afterTruncation();
+              break; // Break inner while to start next retry attempt
             }
           }
+          activeReader = null;
         } else {
-          logDebug(config.debugMode, `Streaming attempt ${attempts} failed with status ${upstreamResponse.status}`);
-          if (FATAL_STATUS_CODES.includes(upstreamResponse.status)) {
-            logDebug(config.debugMode, `Fatal status ${upstreamResponse.status} received. Aborting retries.`);
-            const errorData = await upstreamResponse.text();
+          const errorData = await upstreamResponse.text();
+          if (isFatalUpstreamStatus(config, upstreamResponse.status)) {
+            logRequestOutcome(config, "error", { status: upstreamResponse.status, attempts });
             writer.write(encoder.encode(`event: error\ndata: ${JSON.stringify({ error: { code: upstreamResponse.status, message: "Upstream API returned a fatal error.", details: errorData } })}\n\n`));
             writer.close();
             return;
           }
           if (attempts > config.maxRetries) {
-            const errorData = await upstreamResponse.text();
+            logRequestOutcome(config, "error", { status: upstreamResponse.status, attempts });
             writer.write(encoder.encode(`event: error\ndata: ${JSON.stringify({ error: { code: upstreamResponse.status, message: "Upstream API error after max retries.", details: errorData } })}\n\n`));
             writer.close();
             return;
           }
+          if (!backoff.afterError(getRetryAfterMs(upstreamResponse, errorData))) {
+            logRequestOutcome(config, "error", { status: upstreamResponse.status, attempts });
+            writer.write(encoder.encode(`event: error\ndata: ${JSON.stringify({ error: { code: upstreamResponse.status, message: "Upstream API asked to retry later than RETRY_AFTER_MAX_MS allows.", details: errorData } })}\n\n`));
+            writer.close();
+            return;
+          }
         }
       } catch (error) {
-        logDebug(config.debugMode, `Fetch error during streaming attempt ${attempts}:`, error);
+        logEvent(config, "debug", "attempt_error", { attempt: attempts, message: error.message });
+        if (signal.aborted) {
+          continue; // 在下一轮开头结束
+        }
+        if (isReadingBody) {
+          reportUpstreamBaseStatus(config, upstream.base, true);
+        }
         if (attempts > config.maxRetries) {
+          logRequestOutcome(config, "error", { status: 500, attempts, message: error.message });
           writer.write(encoder.encode(`event: error\ndata: ${JSON.stringify({ error: { code: 500, message: "Internal Server Error after max retries.", details: error.message } })}\n\n`));
           writer.close();
           return;
         }
+        backoff.afterError();
       }
     }
 
-    // If the loop finishes, all retries have been used up.
-    logDebug(config.debugMode, "Max retries reached for streaming request.");
-    if (linesBuffer.length > 0) {
-      for (const lineObj of linesBuffer) {
+    // All retries have been used up for any candidate that is still incomplete.
+    for (const state of states) {
+      if (state.isComplete) continue;
+
+      config.metrics?.recordIncomplete();
+      for (const lineObj of state.linesBuffer) {
         writer.write(encoder.encode(lineObj.rawLine + '\n\n'));
       }
+      const incompletePayload = {
+        candidates: [{
+          ...state.metadata,
+          content: {
+            parts: [{ text: protocol.incompleteToken }]
+          },
+          finishReason: "MAX_RETRIES",
+          index: state.index
+        }]
+      };
+      usage.apply(incompletePayload);
+      writer.write(encoder.encode(`data: ${JSON.stringify(incompletePayload)}\n\n`));
     }
-    const incompletePayload = {
-      candidates: [{
-        content: {
-          parts: [{ text: INCOMPLETE_TOKEN }]
-        },
-        finishReason: "MAX_RETRIES",
-        index: 0
-      }]
-    };
-    writer.write(encoder.encode(`data: ${JSON.stringify(incompletePayload)}\n\n`));
+    logRequestOutcome(config, getOutcome(states), { attempts: states.map(state => state.attempts) });
     writer.close();
   };
 
@@ -573,18 +1454,17 @@ export async function handleStreamingRequest(request, config, url) {
   heartbeatInterval = setInterval(() => {
     try {
       if (writer.desiredSize !== null && writer.desiredSize > 0) {
-        logDebug(config.debugMode, "Sending SSE heartbeat.");
         let heartbeatContent;
         if (clientInfo.isCompatibilityMode) {
           // 兼容模式：不发送 thought 属性
           heartbeatContent = { parts: [{ text: "" }], role: "model" };
         } else {
           // 正常模式：根据状态决定是否添加 thought
-          heartbeatContent = (clientInfo.isCherryStudio || isThoughtFinished) ? 
-            { parts: [{ text: "" }], role: "model" } : 
+          heartbeatContent = (clientInfo.isCherryStudio || states[0].isThoughtFinished) ?
+            { parts: [{ text: "" }], role: "model" } :
             { parts: [{ text: "", thought: true }], role: "model" };
         }
-        
+
         const heartbeatPayload = {
           candidates: [{
             content: heartbeatContent,
@@ -594,19 +1474,19 @@ export async function handleStreamingRequest(request, config, url) {
         writer.write(encoder.encode(`data: ${JSON.stringify(heartbeatPayload)}\n\n`));
       }
     } catch (e) {
-      logDebug(config.debugMode, "Failed to send heartbeat, stream likely closed.", e);
+      logEvent(config, "debug", "heartbeat_failed", { message: e.message });
       clearInterval(heartbeatInterval);
     }
   }, 5000);
+  signal.addEventListener("abort", () => clearInterval(heartbeatInterval), { once: true });
 
   process().catch(e => {
-    logDebug(config.debugMode, "Unhandled error in streaming process:", e);
+    logRequestOutcome(config, "error", { status: 500, message: e.message });
     try {
       writer.write(encoder.encode(`event: error\ndata: ${JSON.stringify({ error: { code: 500, message: "Internal worker error.", details: e.message } })}\n\n`));
       writer.close();
     } catch (_) { /* writer might already be closed */ }
   }).finally(() => {
-    logDebug(config.debugMode, "Clearing SSE heartbeat interval.");
     clearInterval(heartbeatInterval);
   });
 
@@ -616,7 +1496,6 @@ export async function handleStreamingRequest(request, config, url) {
       "Content-Type": "text/event-stream; charset=utf-8",
       "Cache-Control": "no-cache",
       "Connection": "keep-alive",
-      "Access-Control-Allow-Origin": "*",
     },
   });
 }
@@ -4,7 +4,118 @@
  */
 
 import { handleNonStreamingRequest, handleStreamingRequest } from './handlers.js';
-import { parseConfig, jsonError, handleOptionsRequest, logDebug } from './utils.js';
+import { handleOpenAIChatCompletions } from './openai.js';
+import { handleAnthropicMessages } from './anthropic.js';
+import { resolveModelRoute, isModelAllowed } from './core.js';
+import { parseConfig, reportConfigErrors, buildProtocol, loadProtocolOverrides, jsonError, handleOptionsRequest, logEvent, resolveRequestId, withRequestId, withCorsHeaders, extractApiKey, applyControlHeaders, stripControlHeaders } from './utils.js';
+import { shouldUseKeyPool, resolveAccessToken, buildPassthroughRequest, buildUpstreamTarget, fetchUpstream } from './upstream.js';
+import { createMetricsRecorder, handleMetricsRequest } from './metrics.js';
+
+export { MetricsStore } from './metrics.js';
+
+/**
+ * Routes a request to the matching handler.
+ * @param {Request} request - The incoming request.
+ * @param {object} config - The configuration for this request.
+ * @returns {Promise<Response>}
+ */
+async function routeRequest(request, config) {
+  try {
+    const url = new URL(request.url);
+
+    // Preflight requests carry no credentials
+    if (request.method === "OPTIONS") {
+      logEvent(config, "debug", "request_routed", { route: "preflight" });
+      return handleOptionsRequest(config);
+    }
+
+    const apiKey = extractApiKey(request, url);
+
+    if (!apiKey) {
+      logEvent(config, "warn", "request_rejected", { status: 403, reason: "missing_api_key" });
+      return jsonError(403, "Forbidden", "Gemini API key not detected");
+    }
+
+    if (config.vertex && !config.accessTokens) {
+      // The upstream is billed to the operator's service account, so client keys alone are never enough
+      logEvent(config, "error", "request_rejected", { status: 500, reason: "vertex_requires_access_tokens" });
+      return jsonError(500, "Internal Server Error", "Vertex AI mode requires ACCESS_TOKENS to be configured");
+    }
+
+    if (config.accessTokens) {
+      // Only proxy access tokens are accepted; the upstream sees the token's own key or key pool
+      const access = resolveAccessToken(config, apiKey);
+      if (!access) {
+        logEvent(config, "warn", "request_rejected", { status: 401, reason: "invalid_access_token" });
+        return jsonError(401, "Unauthorized", "Invalid proxy access token");
+      }
+      if (access.keys.length === 0 && !config.vertex) {
+        logEvent(config, "error", "request_rejected", { status: 500, reason: "no_upstream_key" });
+        return jsonError(500, "Internal Server Error", "No upstream key is configured for this access token");
+      }
+      config.upstreamApiKeys = access.keys;
+      config.allowedModels = access.models;
+      // Vertex AI authenticates with the service account instead of a key
+      config.useKeyPool = access.keys.length > 0;
+    } else {
+      // Requests served from the upstream key pool get a pooled key on every attempt
+      config.useKeyPool = shouldUseKeyPool(config, apiKey);
+    }
+    logEvent(config, "debug", "key_pool_resolved", { useKeyPool: config.useKeyPool });
+
+    // Per-request overrides, stripped so they never reach the upstream
+    const requestConfig = applyControlHeaders(request, config);
+    request = stripControlHeaders(request);
+
+    // Only POST requests are processed by the anti-truncation logic
+    if (request.method === "POST") {
+      // OpenAI-compatible endpoint, translated to Gemini and processed by the same handlers
+      if (url.pathname === "/v1/chat/completions") {
+        logEvent(config, "debug", "request_routed", { route: "openai" });
+        return await handleOpenAIChatCompletions(request, requestConfig, apiKey);
+      }
+
+      // Anthropic Messages endpoint, same approach as the OpenAI one
+      if (url.pathname === "/v1/messages") {
+        logEvent(config, "debug", "request_routed", { route: "anthropic" });
+        return await handleAnthropicMessages(request, requestConfig, apiKey);
+      }
+
+      const isStream = url.pathname.includes(":stream") || url.searchParams.get("alt") === "sse";
+      
+      logEvent(config, "debug", "request_routed", { route: isStream ? "streaming" : "non_streaming" });
+
+      const route = resolveModelRoute(url.pathname, requestConfig);
+      if (!isModelAllowed(route.model, requestConfig)) {
+        logEvent(config, "warn", "request_rejected", { status: 403, reason: "model_not_allowed", model: route.model });
+        const details = route.model
+          ? `Model ${route.model} is not allowed for this access token`
+          : "Requests without a model on the allowlist are not allowed for this access token";
+        return jsonError(403, "Forbidden", details);
+      }
+
+      if (isStream) {
+        return await handleStreamingRequest(request, requestConfig, url, route);
+      } else {
+        return await handleNonStreamingRequest(request, requestConfig, url, route);
+      }
+    }
+
+    // For all other HTTP methods, directly proxy the request to the upstream
+    if (config.allowedModels) {
+      // A passthrough request names no model that could be checked against the allowlist
+      logEvent(config, "warn", "request_rejected", { status: 403, reason: "model_not_allowed", method: request.method });
+      return jsonError(403, "Forbidden", "Requests without a model on the allowlist are not allowed for this access token");
+    }
+    logEvent(config, "debug", "request_routed", { route: "passthrough", method: request.method });
+    const upstream = buildUpstreamTarget(config, `${url.pathname}${url.search}`);
+    return fetchUpstream(buildPassthroughRequest(upstream.url, request, config), upstream.base, config);
+
+  } catch (e) {
+    logEvent(config, "error", "request_error", { status: 500, message: e.message });
+    return jsonError(500, "Internal Server Error", e.message);
+  }
+}
 
 export default {
   /**
@@ -16,43 +127,24 @@ export default {
    */
   async fetch(request, env, context) {
     const config = parseConfig(env);
-    logDebug(config.debugMode, `Request received: ${request.method} ${request.url}`);
-
-    try {
-      const url = new URL(request.url);
-      const apiKey = url.searchParams.get('key') || request.headers.get('X-Goog-Api-Key');
-
-      if (!apiKey) {
-        logDebug(config.debugMode, "Gemini API key not detected. Rejecting request.");
-        return jsonError(403, "Forbidden", "Gemini API key not detected");
+    config.requestId = resolveRequestId(request);
+    reportConfigErrors(config);
+    config.metrics = createMetricsRecorder(config, context);
+    if (env.PROTOCOL_KV) {
+      // KV values take precedence over env variables
+      try {
+        config.protocol = buildProtocol({ ...env, ...(await loadProtocolOverrides(env.PROTOCOL_KV)) }, config.protocol.nonce);
+      } catch (e) {
+        logEvent(config, "error", "protocol_load_failed", { message: e.message });
       }
-
-      if (request.method === "OPTIONS") {
-        logDebug(config.debugMode, "Handling OPTIONS preflight request.");
-        return handleOptionsRequest();
-      }
-
-      // Only POST requests are processed by the anti-truncation logic
-      if (request.method === "POST") {
-        const isStream = url.pathname.includes(":stream") || url.searchParams.get("alt") === "sse";
-        
-        logDebug(config.debugMode, `Request identified as ${isStream ? "streaming" : "non-streaming"}.`);
-
-        if (isStream) {
-          return await handleStreamingRequest(request, config, url);
-        } else {
-          return await handleNonStreamingRequest(request, config, url);
-        }
-      }
-
-      // For all other HTTP methods, directly proxy the request to the upstream
-      logDebug(config.debugMode, `Passthrough for method: ${request.method}`);
-      const upstreamUrl = `${config.upstreamUrlBase}${url.pathname}${url.search}`;
-      return fetch(upstreamUrl, request);
-
-    } catch (e) {
-      logDebug(config.debugMode, "Top-level exception caught:", e);
-      return jsonError(500, "Internal Server Error", e.message);
     }
+    const pathname = new URL(request.url).pathname;
+    logEvent(config, "info", "request_start", { method: request.method, path: pathname });
+
+    // The metrics route has its own token and skips the Gemini key check
+    const response = pathname === "/metrics" && request.method === "GET"
+      ? await handleMetricsRequest(request, config)
+      : await routeRequest(request, config);
+    return withCorsHeaders(withRequestId(response, config.requestId), request, config);
   }
 };
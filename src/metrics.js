@@ -0,0 +1,309 @@
+/**
+ * @fileoverview Prometheus-style metrics for truncation and retry statistics.
+ * Each request collects its numbers locally and sends them once to the `MetricsStore`
+ * Durable Object, which keeps the totals shared across isolates and renders `/metrics`.
+ */
+
+import { jsonError, logEvent, compileModelPatterns } from "./utils.js";
+
+/**
+ * 指标定义：名称、类型、说明，直方图还包括桶的上界
+ */
+const METRIC_DEFINITIONS = {
+  gemini_proxy_requests_total: {
+    type: "counter",
+    help: "Requests handled by the anti-truncation logic.",
+  },
+  gemini_proxy_truncation_retries_total: {
+    type: "counter",
+    help: "Continuation attempts sent after a truncated response.",
+  },
+  gemini_proxy_upstream_responses_total: {
+    type: "counter",
+    help: "Upstream responses by HTTP status code; network errors use status=\"network_error\".",
+  },
+  gemini_proxy_incomplete_responses_total: {
+    type: "counter",
+    help: "Candidates returned with the incomplete marker after exhausting retries.",
+  },
+  gemini_proxy_attempts_per_request: {
+    type: "histogram",
+    help: "Upstream attempts needed per request.",
+    buckets: [1, 2, 3, 5, 8, 13, 21],
+  },
+  gemini_proxy_upstream_ttfb_seconds: {
+    type: "histogram",
+    help: "Time until the first chunk of the upstream response body arrives, per attempt.",
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  },
+};
+
+/**
+ * 指标的 model 标签：使用模型匹配到的 TARGET_MODELS / INCLUDE_MODELS 规则原文，
+ * 没有匹配的规则（例如由请求头强制开启）时为 "other"。
+ * 模型名由客户端决定，直接用作标签会让序列数量无限增长。
+ * @param {string|null} model - The model name from the request path.
+ * @param {object} config - The worker configuration.
+ * @returns {string} The label value.
+ */
+function getModelLabel(model, config) {
+  if (!model) return "other";
+  const rule = config.metricsModelRules.find(rule => compileModelPatterns([rule]).some(pattern => pattern.test(model)));
+  return rule || "other";
+}
+
+/**
+ * Compares two strings in constant time, so the response time does not reveal how much of a token matched.
+ * Both values are hashed first because `timingSafeEqual` needs inputs of the same length.
+ * @param {string} a
+ * @param {string} b
+ * @returns {Promise<boolean>}
+ */
+async function timingSafeEqualStrings(a, b) {
+  const encoder = new TextEncoder();
+  const [hashA, hashB] = await Promise.all([a, b].map(value => crypto.subtle.digest("SHA-256", encoder.encode(value))));
+  return crypto.subtle.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Creates the per-request metrics recorder. Nothing is recorded until `begin` is called,
+ * so passthrough requests stay out of the statistics.
+ * @param {object} config - The worker configuration.
+ * @param {object} [context] - The Worker execution context, used to flush in the background.
+ * @returns {object} The recorder.
+ */
+export function createMetricsRecorder(config, context) {
+  const record = {
+    model: null,
+    stream: false,
+    upstreamStatuses: {},
+    ttfbSeconds: [],
+    truncationRetries: 0,
+    incompleteResponses: 0,
+  };
+  let isTracked = false;
+  let isFinished = false;
+
+  return {
+    begin(model, isStream) {
+      isTracked = true;
+      record.model = getModelLabel(model, config);
+      record.stream = isStream;
+    },
+    recordUpstream(status) {
+      if (!isTracked) return;
+      record.upstreamStatuses[status] = (record.upstreamStatuses[status] || 0) + 1;
+    },
+    /**
+     * 读到上游响应体的第一个数据块时记录 TTFB。流式上游的响应头往往很快返回，
+     * 真正的等待发生在第一个数据块之前，因此不能在收到响应头时计时。
+     * 按需拉取而不用 pipeThrough：读取挂起时 pipeThrough 不会把 cancel 传给上游，
+     * 停滞超时和客户端断开时就无法关闭上游连接
+     * @param {Response} response - The upstream response.
+     * @param {number} startedAt - When the upstream request was sent.
+     * @returns {Response} The response with a timed body, or the original response for untracked requests.
+     */
+    timeFirstChunk(response, startedAt) {
+      if (!isTracked || !response.body) return response;
+      let isFirstChunk = true;
+      const reader = response.body.getReader();
+      const body = new ReadableStream({
+        async pull(controller) {
+          const { value, done } = await reader.read();
+          if (done) {
+            controller.close();
+            return;
+          }
+          if (isFirstChunk) {
+            isFirstChunk = false;
+            record.ttfbSeconds.push((Date.now() - startedAt) / 1000);
+          }
+          controller.enqueue(value);
+        },
+        cancel(reason) {
+          return reader.cancel(reason);
+        },
+      });
+      return new Response(body, response);
+    },
+    recordTruncationRetry() {
+      if (isTracked) record.truncationRetries++;
+    },
+    recordIncomplete(count = 1) {
+      if (isTracked) record.incompleteResponses += count;
+    },
+    /**
+     * 请求结束时将本次请求的统计一次性发送给 MetricsStore
+     */
+    finish() {
+      if (!isTracked || isFinished || !config.metricsStore) return;
+      isFinished = true;
+      const stub = config.metricsStore.get(config.metricsStore.idFromName("global"));
+      const promise = stub.fetch("https://metrics/record", { method: "POST", body: JSON.stringify(record) })
+        .catch(e => logEvent(config, "error", "metrics_record_failed", { message: e.message }));
+      context?.waitUntil?.(promise);
+    },
+  };
+}
+
+/**
+ * Handles `GET /metrics`. Requires `METRICS_TOKEN` as a Bearer token; the route is
+ * disabled when no token is configured.
+ * @param {Request} request - The incoming request.
+ * @param {object} config - The worker configuration.
+ * @returns {Promise<Response>}
+ */
+export async function handleMetricsRequest(request, config) {
+  if (!config.metricsToken) {
+    return jsonError(404, "Not Found", "The metrics endpoint is disabled.");
+  }
+  if (!(await timingSafeEqualStrings(request.headers.get("Authorization") || "", `Bearer ${config.metricsToken}`))) {
+    return jsonError(401, "Unauthorized", "Invalid metrics token.");
+  }
+  if (!config.metricsStore) {
+    return jsonError(503, "Service Unavailable", "The METRICS Durable Object binding is not configured.");
+  }
+
+  const stub = config.metricsStore.get(config.metricsStore.idFromName("global"));
+  return stub.fetch("https://metrics/metrics");
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Renders the stored series in the Prometheus text exposition format.
+ * @param {{ counters: object, histograms: object }} metrics - The stored series.
+ * @returns {string} The exposition text.
+ */
+export function renderMetrics(metrics) {
+  const lines = [];
+  for (const [name, definition] of Object.entries(METRIC_DEFINITIONS)) {
+    lines.push(`# HELP ${name} ${definition.help}`);
+    lines.push(`# TYPE ${name} ${definition.type}`);
+
+    if (definition.type === "counter") {
+      for (const series of Object.values(metrics.counters[name] || {})) {
+        lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+      }
+      continue;
+    }
+
+    for (const series of Object.values(metrics.histograms[name] || {})) {
+      let cumulative = 0;
+      definition.buckets.forEach((bound, i) => {
+        cumulative += series.bucketCounts[i];
+        lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${cumulative}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+      lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * 每个序列单独保存的存储键前缀，键为 `series:<指标名><标签>`
+ */
+const SERIES_KEY_PREFIX = "series:";
+
+/**
+ * Durable Object holding the metric totals. Bind it as `METRICS`.
+ * Each series is stored under its own key, so a record only rewrites the series it changed
+ * and the stored values stay below the per-value size limit however many series there are.
+ */
+export class MetricsStore {
+  /**
+   * @param {object} state - The Durable Object state.
+   * @param {object} env - The environment variables.
+   */
+  constructor(state, env) {
+    this.state = state;
+    this.metrics = { counters: {}, histograms: {} };
+    // 本次记录修改过、需要写回存储的序列
+    this.dirtySeries = new Map();
+    state.blockConcurrencyWhile(async () => {
+      const stored = await state.storage.list({ prefix: SERIES_KEY_PREFIX });
+      for (const { name, key, ...series } of stored.values()) {
+        const group = METRIC_DEFINITIONS[name]?.type === "histogram" ? this.metrics.histograms : this.metrics.counters;
+        (group[name] ||= {})[key] = series;
+      }
+    });
+  }
+
+  markDirty(name, key, series) {
+    this.dirtySeries.set(`${SERIES_KEY_PREFIX}${name}${key}`, { name, key, ...series });
+  }
+
+  incrementCounter(name, labels, amount = 1) {
+    const key = formatLabels(labels);
+    const series = (this.metrics.counters[name] ||= {});
+    series[key] = series[key] || { labels, value: 0 };
+    series[key].value += amount;
+    this.markDirty(name, key, series[key]);
+  }
+
+  observeHistogram(name, labels, value) {
+    const { buckets } = METRIC_DEFINITIONS[name];
+    const key = formatLabels(labels);
+    const series = (this.metrics.histograms[name] ||= {});
+    series[key] = series[key] || { labels, bucketCounts: buckets.map(() => 0), sum: 0, count: 0 };
+    const bucketIndex = buckets.findIndex(bound => value <= bound);
+    if (bucketIndex !== -1) {
+      series[key].bucketCounts[bucketIndex]++;
+    }
+    series[key].sum += value;
+    series[key].count++;
+    this.markDirty(name, key, series[key]);
+  }
+
+  /**
+   * 合并一个请求的统计数据
+   * @param {object} record - The record sent by `createMetricsRecorder().finish()`.
+   */
+  async applyRecord(record) {
+    const labels = { model: record.model, stream: String(record.stream) };
+    let attempts = 0;
+
+    this.incrementCounter("gemini_proxy_requests_total", labels);
+    if (record.truncationRetries > 0) {
+      this.incrementCounter("gemini_proxy_truncation_retries_total", labels, record.truncationRetries);
+    }
+    if (record.incompleteResponses > 0) {
+      this.incrementCounter("gemini_proxy_incomplete_responses_total", labels, record.incompleteResponses);
+    }
+    for (const [status, count] of Object.entries(record.upstreamStatuses)) {
+      this.incrementCounter("gemini_proxy_upstream_responses_total", { ...labels, status }, count);
+      attempts += count;
+    }
+    this.observeHistogram("gemini_proxy_attempts_per_request", labels, attempts);
+    for (const seconds of record.ttfbSeconds) {
+      this.observeHistogram("gemini_proxy_upstream_ttfb_seconds", labels, seconds);
+    }
+
+    const changes = Object.fromEntries(this.dirtySeries);
+    this.dirtySeries.clear();
+    await this.state.storage.put(changes);
+  }
+
+  /**
+   * @param {Request} request - `POST /record` from the worker or `GET /metrics`.
+   * @returns {Promise<Response>}
+   */
+  async fetch(request) {
+    const url = new URL(request.url);
+    if (request.method === "POST" && url.pathname === "/record") {
+      await this.applyRecord(await request.json());
+      return new Response(null, { status: 204 });
+    }
+    if (url.pathname === "/metrics") {
+      return new Response(renderMetrics(this.metrics), {
+        headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" },
+      });
+    }
+    return new Response("Not Found", { status: 404 });
+  }
+}
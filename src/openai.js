@@ -0,0 +1,486 @@
+/**
+ * @fileoverview OpenAI Chat Completions compatibility layer.
+ * Translates `/v1/chat/completions` requests into Gemini requests, runs them through the
+ * anti-truncation handlers and converts the results back into OpenAI objects.
+ */
+
+import { handleNonStreamingRequest, handleStreamingRequest } from "./handlers.js";
+import { buildGeminiNativeRequest, resolveModelRoute, isModelAllowed, iterateSSEEvents, toJsonObject, sanitizeSchema, urlToPart, createThoughtPrefillFilter } from "./core.js";
+import { logEvent, extractErrorMessage } from "./utils.js";
+
+/**
+ * Maps OpenAI `reasoning_effort` values to Gemini thinking budgets.
+ * @type {Object<string, number>}
+ */
+const REASONING_EFFORT_BUDGETS = {
+  none: 0,
+  minimal: 0,
+  low: 1024,
+  medium: 8192,
+  high: 24576,
+};
+
+/**
+ * Creates an OpenAI-style JSON error response.
+ * @param {number} status - The HTTP status code.
+ * @param {string} message - The error message.
+ * @param {string} [type="invalid_request_error"] - The OpenAI error type.
+ * @returns {Response} A Response object.
+ */
+function openAIError(status, message, type = "invalid_request_error") {
+  return new Response(JSON.stringify({ error: { message, type, code: status } }), {
+    status,
+    headers: {
+      "Content-Type": "application/json; charset=utf-8",
+    },
+  });
+}
+
+/**
+ * 将 OpenAI message 的 content（字符串或内容块数组）转换为 Gemini parts
+ * @param {string|Array|null} content - OpenAI message content
+ * @returns {Array} Gemini parts
+ */
+function contentToParts(content) {
+  if (typeof content === "string") {
+    return content ? [{ text: content }] : [];
+  }
+  if (!Array.isArray(content)) {
+    return [];
+  }
+
+  const parts = [];
+  for (const item of content) {
+    if (item.type === "text" && item.text) {
+      parts.push({ text: item.text });
+    } else if (item.type === "image_url") {
+      const part = urlToPart(typeof item.image_url === "string" ? item.image_url : item.image_url?.url);
+      if (part) parts.push(part);
+    } else if (item.type === "input_audio" && item.input_audio?.data) {
+      parts.push({ inlineData: { mimeType: `audio/${item.input_audio.format || "wav"}`, data: item.input_audio.data } });
+    }
+  }
+  return parts;
+}
+
+/**
+ * Converts OpenAI chat messages into Gemini `contents` and `systemInstruction`.
+ * Consecutive messages with the same Gemini role are merged, tool results are
+ * mapped to `functionResponse` parts using the names from earlier tool calls.
+ * @param {Array} messages - The OpenAI messages array.
+ * @returns {{ contents: Array, systemInstruction: object|null }}
+ */
+function convertMessages(messages) {
+  const contents = [];
+  const systemParts = [];
+  const toolCallNames = new Map();
+
+  const pushContent = (role, parts) => {
+    if (parts.length === 0) return;
+    const lastContent = contents[contents.length - 1];
+    if (lastContent && lastContent.role === role) {
+      lastContent.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  };
+
+  for (const message of messages) {
+    switch (message.role) {
+      case "system":
+      case "developer":
+        systemParts.push(...contentToParts(message.content));
+        break;
+      case "assistant": {
+        const parts = contentToParts(message.content);
+        for (const toolCall of message.tool_calls || []) {
+          if (toolCall.type && toolCall.type !== "function") continue;
+          toolCallNames.set(toolCall.id, toolCall.function.name);
+          parts.push({ functionCall: { name: toolCall.function.name, args: toJsonObject(toolCall.function.arguments || "{}", "arguments") } });
+        }
+        pushContent("model", parts);
+        break;
+      }
+      case "tool":
+      case "function": {
+        const name = message.name || toolCallNames.get(message.tool_call_id) || "unknown";
+        const content = Array.isArray(message.content)
+          ? message.content.map(item => item.text || "").join("")
+          : message.content;
+        pushContent("user", [{ functionResponse: { name, response: toJsonObject(content, "content") } }]);
+        break;
+      }
+      default:
+        pushContent("user", contentToParts(message.content));
+    }
+  }
+
+  return {
+    contents,
+    systemInstruction: systemParts.length > 0 ? { parts: systemParts } : null,
+  };
+}
+
+/**
+ * 转换 OpenAI tool_choice 为 Gemini toolConfig
+ * @param {string|object} toolChoice - OpenAI tool_choice
+ * @returns {object|null} Gemini toolConfig
+ */
+function convertToolChoice(toolChoice) {
+  if (!toolChoice) return null;
+  if (toolChoice === "none") return { functionCallingConfig: { mode: "NONE" } };
+  if (toolChoice === "auto") return { functionCallingConfig: { mode: "AUTO" } };
+  if (toolChoice === "required") return { functionCallingConfig: { mode: "ANY" } };
+  if (toolChoice.function?.name) {
+    return { functionCallingConfig: { mode: "ANY", allowedFunctionNames: [toolChoice.function.name] } };
+  }
+  return null;
+}
+
+/**
+ * Translates an OpenAI Chat Completions request body into a Gemini request body.
+ * @param {object} body - The OpenAI request body.
+ * @returns {object} The Gemini `generateContent` request body.
+ */
+export function openAIToGeminiRequest(body) {
+  const { contents, systemInstruction } = convertMessages(body.messages || []);
+  const geminiBody = { contents };
+
+  if (systemInstruction) {
+    geminiBody.systemInstruction = systemInstruction;
+  }
+
+  const functionDeclarations = (body.tools || [])
+    .filter(tool => tool.type === "function" && tool.function)
+    .map(tool => ({
+      name: tool.function.name,
+      description: tool.function.description,
+      parameters: tool.function.parameters ? sanitizeSchema(tool.function.parameters) : undefined,
+    }));
+  if (functionDeclarations.length > 0) {
+    geminiBody.tools = [{ functionDeclarations }];
+    const toolConfig = convertToolChoice(body.tool_choice);
+    if (toolConfig) {
+      geminiBody.toolConfig = toolConfig;
+    }
+  }
+
+  const generationConfig = {};
+  if (body.temperature !== undefined) generationConfig.temperature = body.temperature;
+  if (body.top_p !== undefined) generationConfig.topP = body.top_p;
+  if (body.n !== undefined) generationConfig.candidateCount = body.n;
+  if (body.seed !== undefined) generationConfig.seed = body.seed;
+  if (body.presence_penalty !== undefined) generationConfig.presencePenalty = body.presence_penalty;
+  if (body.frequency_penalty !== undefined) generationConfig.frequencyPenalty = body.frequency_penalty;
+
+  const maxTokens = body.max_completion_tokens ?? body.max_tokens;
+  if (maxTokens !== undefined) generationConfig.maxOutputTokens = maxTokens;
+
+  if (body.stop) {
+    generationConfig.stopSequences = Array.isArray(body.stop) ? body.stop : [body.stop];
+  }
+
+  if (body.response_format?.type === "json_object") {
+    generationConfig.responseMimeType = "application/json";
+  } else if (body.response_format?.type === "json_schema" && body.response_format.json_schema?.schema) {
+    generationConfig.responseMimeType = "application/json";
+    generationConfig.responseSchema = sanitizeSchema(body.response_format.json_schema.schema);
+  }
+
+  if (body.reasoning_effort && REASONING_EFFORT_BUDGETS[body.reasoning_effort] !== undefined) {
+    generationConfig.thinkingConfig = { thinkingBudget: REASONING_EFFORT_BUDGETS[body.reasoning_effort] };
+  }
+
+  if (Object.keys(generationConfig).length > 0) {
+    geminiBody.generationConfig = generationConfig;
+  }
+
+  return geminiBody;
+}
+
+/**
+ * Maps a Gemini finish reason to the OpenAI equivalent.
+ * @param {string|undefined} finishReason - The Gemini finish reason.
+ * @param {boolean} hasToolCalls - Whether the choice contains tool calls.
+ * @returns {string|null} The OpenAI finish reason.
+ */
+function mapFinishReason(finishReason, hasToolCalls) {
+  if (hasToolCalls) return "tool_calls";
+  switch (finishReason) {
+    case undefined:
+    case null:
+      return null;
+    case "MAX_TOKENS":
+    case "MAX_RETRIES":
+      return "length";
+    case "SAFETY":
+    case "RECITATION":
+    case "BLOCKLIST":
+    case "PROHIBITED_CONTENT":
+    case "SPII":
+      return "content_filter";
+    default:
+      return "stop";
+  }
+}
+
+/**
+ * Converts Gemini usage metadata to an OpenAI usage object.
+ * @param {object|undefined} usageMetadata - The Gemini usage metadata.
+ * @returns {object|undefined} The OpenAI usage object.
+ */
+function convertUsage(usageMetadata) {
+  if (!usageMetadata) return undefined;
+  const reasoningTokens = usageMetadata.thoughtsTokenCount || 0;
+  const completionTokens = (usageMetadata.candidatesTokenCount || 0) + reasoningTokens;
+  const promptTokens = usageMetadata.promptTokenCount || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usageMetadata.totalTokenCount || promptTokens + completionTokens,
+    completion_tokens_details: { reasoning_tokens: reasoningTokens },
+  };
+}
+
+/**
+ * 将 Gemini functionCall 转换为 OpenAI tool call
+ * @param {object} functionCall - Gemini functionCall
+ * @returns {object} OpenAI tool call
+ */
+function toToolCall(functionCall) {
+  return {
+    id: functionCall.id || `call_${crypto.randomUUID().replace(/-/g, "")}`,
+    type: "function",
+    function: { name: functionCall.name, arguments: JSON.stringify(functionCall.args || {}) },
+  };
+}
+
+/**
+ * 将 Gemini parts 拆分为正文、思考内容和工具调用
+ * @param {Array} parts - Gemini parts
+ * @returns {{ content: string, reasoning: string, toolCalls: Array }}
+ */
+function splitParts(parts) {
+  let content = "";
+  let reasoning = "";
+  const toolCalls = [];
+  for (const part of parts || []) {
+    if (part.functionCall) {
+      toolCalls.push(toToolCall(part.functionCall));
+    } else if (typeof part.text === "string") {
+      if (part.thought) {
+        reasoning += part.text;
+      } else {
+        content += part.text;
+      }
+    }
+  }
+  return { content, reasoning, toolCalls };
+}
+
+/**
+ * Converts a Gemini `generateContent` response into an OpenAI `chat.completion` object.
+ * @param {object} geminiJson - The Gemini response body.
+ * @param {string} model - The requested model name.
+ * @param {function(number, string): string} [filterThought] - Filter from `createThoughtPrefillFilter`.
+ * @returns {object} The OpenAI chat completion.
+ */
+export function geminiToOpenAIResponse(geminiJson, model, filterThought = (index, thought) => thought) {
+  const choices = (geminiJson.candidates || []).map((candidate, i) => {
+    const index = candidate.index ?? i;
+    const { content, reasoning, toolCalls } = splitParts(candidate.content?.parts);
+    const message = { role: "assistant", content: content || (toolCalls.length > 0 ? null : "") };
+    const thought = filterThought(index, reasoning);
+    if (thought) message.reasoning_content = thought;
+    if (toolCalls.length > 0) message.tool_calls = toolCalls;
+    return {
+      index,
+      message,
+      finish_reason: mapFinishReason(candidate.finishReason, toolCalls.length > 0) || "stop",
+    };
+  });
+
+  const completion = {
+    id: `chatcmpl-${crypto.randomUUID()}`,
+    object: "chat.completion",
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices,
+  };
+  const usage = convertUsage(geminiJson.usageMetadata);
+  if (usage) completion.usage = usage;
+  return completion;
+}
+
+/**
+ * Converts a Gemini SSE response produced by `handleStreamingRequest` into an
+ * OpenAI `chat.completion.chunk` event stream.
+ * @param {Response} geminiResponse - The Gemini SSE response.
+ * @param {string} model - The requested model name.
+ * @param {boolean} includeUsage - Whether to emit a final usage chunk.
+ * @param {object} config - The worker configuration.
+ * @param {function(number, string): string} filterThought - Filter from `createThoughtPrefillFilter`.
+ * @returns {Response} The OpenAI SSE response.
+ */
+function createOpenAIStreamResponse(geminiResponse, model, includeUsage, config, filterThought) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const id = `chatcmpl-${crypto.randomUUID()}`;
+  const created = Math.floor(Date.now() / 1000);
+
+  const writeChunk = (choices, extra = {}) => {
+    const chunk = { id, object: "chat.completion.chunk", created, model, choices, ...extra };
+    return writer.write(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`));
+  };
+
+  const pump = async () => {
+    const startedChoices = new Set();
+    const toolCallCounts = new Map();
+    const finishReasons = new Map();
+    let usageMetadata = null;
+
+    for await (const event of iterateSSEEvents(geminiResponse.body)) {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (e) {
+        logEvent(config, "debug", "adapter_event_skipped", { adapter: "openai", data: event.data });
+        continue;
+      }
+
+      if (event.event === "error" || data.error) {
+        const error = data.error || {};
+        await writer.write(encoder.encode(`data: ${JSON.stringify({ error: { message: error.message || "Upstream error", type: "upstream_error", code: error.code ?? 500 } })}\n\n`));
+        continue;
+      }
+
+      if (data.usageMetadata) {
+        usageMetadata = data.usageMetadata;
+      }
+
+      let hasDelta = false;
+      for (const [i, candidate] of (data.candidates || []).entries()) {
+        const index = candidate.index ?? i;
+        const { content, toolCalls, reasoning: thought } = splitParts(candidate.content?.parts);
+        const reasoning = filterThought(index, thought);
+
+        if (candidate.finishReason) {
+          finishReasons.set(index, candidate.finishReason);
+        }
+        if (!content && !reasoning && toolCalls.length === 0) {
+          continue;
+        }
+
+        const delta = {};
+        if (!startedChoices.has(index)) {
+          delta.role = "assistant";
+          startedChoices.add(index);
+        }
+        if (reasoning) delta.reasoning_content = reasoning;
+        if (content) delta.content = content;
+        if (toolCalls.length > 0) {
+          const offset = toolCallCounts.get(index) || 0;
+          delta.tool_calls = toolCalls.map((toolCall, n) => ({ index: offset + n, ...toolCall }));
+          toolCallCounts.set(index, offset + toolCalls.length);
+        }
+
+        hasDelta = true;
+        await writeChunk([{ index, delta, finish_reason: null }]);
+      }
+
+      // 心跳包（空文本）转换为 SSE 注释，保持连接活跃
+      if (!hasDelta) {
+        await writer.write(encoder.encode(": keep-alive\n\n"));
+      }
+    }
+
+    // finishReason 只在流结束时发送，避免中间尝试的结束标记提前终止客户端
+    const indexes = new Set([...startedChoices, ...finishReasons.keys()]);
+    if (indexes.size === 0) indexes.add(0);
+    await writeChunk([...indexes].sort((a, b) => a - b).map(index => ({
+      index,
+      delta: {},
+      finish_reason: mapFinishReason(finishReasons.get(index), toolCallCounts.has(index)) || "stop",
+    })));
+
+    if (includeUsage && usageMetadata) {
+      await writeChunk([], { usage: convertUsage(usageMetadata) });
+    }
+    await writer.write(encoder.encode("data: [DONE]\n\n"));
+    await writer.close();
+  };
+
+  pump().catch(async e => {
+    logEvent(config, "debug", "adapter_stream_error", { adapter: "openai", message: e.message });
+    try {
+      await writer.write(encoder.encode(`data: ${JSON.stringify({ error: { message: e.message, type: "server_error", code: 500 } })}\n\n`));
+      await writer.close();
+    } catch (_) { /* writer might already be closed */ }
+  });
+
+  return new Response(readable, {
+    status: 200,
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+    },
+  });
+}
+
+/**
+ * Handles OpenAI-compatible `/v1/chat/completions` requests.
+ * @param {Request} request - The original incoming request.
+ * @param {object} config - The worker configuration.
+ * @param {string} apiKey - The Gemini API key supplied by the client.
+ * @returns {Promise<Response>}
+ */
+export async function handleOpenAIChatCompletions(request, config, apiKey) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return openAIError(400, "Request body is not valid JSON.");
+  }
+
+  if (typeof body?.model !== "string" || !body.model) {
+    return openAIError(400, "`model` must be a non-empty string.");
+  }
+  if (!Array.isArray(body.messages)) {
+    return openAIError(400, "`messages` must be an array.");
+  }
+
+  const model = body.model.replace(/^models\//, "");
+  if (!isModelAllowed(model, config)) {
+    return openAIError(403, `Model ${model} is not allowed for this access token.`, "permission_error");
+  }
+  const isStream = body.stream === true;
+  logEvent(config, "debug", "adapter_request", { adapter: "openai", model, stream: isStream });
+
+  const geminiBody = openAIToGeminiRequest(body);
+  const filterThought = createThoughtPrefillFilter(config, geminiBody);
+  const { request: geminiRequest, url } = buildGeminiNativeRequest(request, model, geminiBody, isStream, apiKey);
+  const route = resolveModelRoute(url.pathname, config);
+
+  const geminiResponse = isStream
+    ? await handleStreamingRequest(geminiRequest, config, url, route)
+    : await handleNonStreamingRequest(geminiRequest, config, url, route);
+
+  if (!geminiResponse.ok) {
+    return openAIError(geminiResponse.status, await extractErrorMessage(geminiResponse), "upstream_error");
+  }
+
+  if (isStream) {
+    return createOpenAIStreamResponse(geminiResponse, body.model, body.stream_options?.include_usage === true, config, filterThought);
+  }
+
+  const geminiJson = await geminiResponse.json();
+  if (geminiJson.error) {
+    return openAIError(geminiJson.error.code || 500, geminiJson.error.message || "Upstream error", "upstream_error");
+  }
+  return new Response(JSON.stringify(geminiToOpenAIResponse(geminiJson, body.model, filterThought)), {
+    status: 200,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
@@ -0,0 +1,392 @@
+/**
+ * @fileoverview Upstream API key pool, base URL failover, fetch helpers and retry backoff.
+ * Key and base URL health lives in module scope, so it is shared by every request served by the same isolate.
+ */
+
+import { RETRYABLE_STATUS_CODES, FATAL_STATUS_CODES } from "./constants.js";
+import { logEvent, sleep } from "./utils.js";
+import { toVertexPath, authorizeVertexRequest } from "./vertex.js";
+
+/**
+ * 每个 key 的使用与限流记录
+ * @type {Map<string, { lastUsedAt: number, lastThrottledAt: number, cooldownUntil: number }>}
+ */
+const keyStates = new Map();
+let roundRobinCursor = 0;
+
+/**
+ * 每个上游地址的连续失败次数与不健康截止时间
+ * @type {Map<string, { consecutiveFailures: number, unhealthyUntil: number }>}
+ */
+const baseStates = new Map();
+
+function getKeyState(key) {
+  let state = keyStates.get(key);
+  if (!state) {
+    state = { lastUsedAt: 0, lastThrottledAt: 0, cooldownUntil: 0 };
+    keyStates.set(key, state);
+  }
+  return state;
+}
+
+/**
+ * Decides whether a client should be served from the upstream key pool.
+ * Only clients presenting one of the `KEY_POOL_ACCESS_KEYS` use the pool, so an empty
+ * list keeps the pool closed instead of turning the worker into an open proxy.
+ * @param {object} config - The worker configuration.
+ * @param {string} clientKey - The API key presented by the client.
+ * @returns {boolean}
+ */
+export function shouldUseKeyPool(config, clientKey) {
+  if (config.upstreamApiKeys.length === 0) {
+    return false;
+  }
+  return config.keyPoolAccessKeys.includes(clientKey);
+}
+
+/**
+ * Looks up the proxy access token presented by the client.
+ * Tokens without keys of their own are served from the shared `UPSTREAM_API_KEYS` pool.
+ * @param {object} config - The worker configuration.
+ * @param {string} clientKey - The token presented by the client.
+ * @returns {{ keys: string[], models: RegExp[]|null }|null} The upstream keys and model allowlist, or null for an unknown token.
+ */
+export function resolveAccessToken(config, clientKey) {
+  const entry = config.accessTokens.get(clientKey);
+  if (!entry) {
+    return null;
+  }
+  return { keys: entry.keys || config.upstreamApiKeys, models: entry.models };
+}
+
+/**
+ * Picks the upstream key for the next attempt, skipping keys that are on cooldown.
+ * If every key is cooling down, the one that recovers first is used.
+ * @param {object} config - The worker configuration.
+ * @returns {string|null} The selected key, or null if no pool is configured.
+ */
+export function selectUpstreamKey(config) {
+  const keys = config.upstreamApiKeys;
+  if (keys.length === 0) {
+    return null;
+  }
+
+  const now = Date.now();
+  const isHealthy = (key) => getKeyState(key).cooldownUntil <= now;
+  let selected = null;
+
+  if (!keys.some(isHealthy)) {
+    selected = keys.reduce((best, key) => (getKeyState(key).cooldownUntil < getKeyState(best).cooldownUntil ? key : best));
+    logEvent(config, "debug", "key_pool_exhausted", { keyIndex: keys.indexOf(selected) + 1 });
+  } else if (config.keyPoolStrategy === "least-recently-throttled") {
+    // 优先最久未被限流的 key，相同时选择最久未使用的
+    for (const key of keys.filter(isHealthy)) {
+      if (!selected) {
+        selected = key;
+        continue;
+      }
+      const state = getKeyState(key);
+      const best = getKeyState(selected);
+      if (state.lastThrottledAt < best.lastThrottledAt
+        || (state.lastThrottledAt === best.lastThrottledAt && state.lastUsedAt < best.lastUsedAt)) {
+        selected = key;
+      }
+    }
+  } else {
+    for (let offset = 0; offset < keys.length; offset++) {
+      const position = (roundRobinCursor + offset) % keys.length;
+      if (isHealthy(keys[position])) {
+        selected = keys[position];
+        roundRobinCursor = (position + 1) % keys.length;
+        break;
+      }
+    }
+  }
+
+  getKeyState(selected).lastUsedAt = now;
+  logEvent(config, "debug", "upstream_key_selected", { keyIndex: keys.indexOf(selected) + 1, keyCount: keys.length });
+  return selected;
+}
+
+/**
+ * Records the upstream status for a pooled key; keys answering with one of the
+ * `RETRYABLE_STATUS_CODES` are put on cooldown.
+ * @param {object} config - The worker configuration.
+ * @param {string|null} key - The key used for the attempt.
+ * @param {number} status - The upstream HTTP status.
+ */
+export function reportUpstreamKeyStatus(config, key, status) {
+  if (!key || !config.upstreamApiKeys.includes(key) || !RETRYABLE_STATUS_CODES.includes(status)) {
+    return;
+  }
+  const now = Date.now();
+  const state = getKeyState(key);
+  state.lastThrottledAt = now;
+  state.cooldownUntil = now + config.keyCooldownMs;
+  logEvent(config, "debug", "upstream_key_cooldown", { keyIndex: config.upstreamApiKeys.indexOf(key) + 1, status, cooldownMs: config.keyCooldownMs });
+}
+
+function getBaseState(baseUrl) {
+  let state = baseStates.get(baseUrl);
+  if (!state) {
+    state = { consecutiveFailures: 0, unhealthyUntil: 0 };
+    baseStates.set(baseUrl, state);
+  }
+  return state;
+}
+
+/**
+ * Picks the upstream base for the next attempt. Unhealthy bases are skipped;
+ * `ordered` uses the first healthy base, `weighted` picks a healthy base at random by weight.
+ * If every base is unhealthy, the one that recovers first is used.
+ * @param {object} config - The worker configuration.
+ * @returns {{ url: string, weight: number }} The selected base from `config.upstreamBases`.
+ */
+export function selectUpstreamBase(config) {
+  const bases = config.upstreamBases;
+  if (bases.length === 1) {
+    return bases[0];
+  }
+
+  const now = Date.now();
+  const healthy = bases.filter(base => getBaseState(base.url).unhealthyUntil <= now);
+  if (healthy.length === 0) {
+    const base = bases.reduce((best, base) => (getBaseState(base.url).unhealthyUntil < getBaseState(best.url).unhealthyUntil ? base : best));
+    logEvent(config, "debug", "upstream_bases_unhealthy", { base: base.url });
+    return base;
+  }
+
+  if (config.upstreamStrategy === "weighted") {
+    const totalWeight = healthy.reduce((sum, base) => sum + base.weight, 0);
+    let point = Math.random() * totalWeight;
+    for (const base of healthy) {
+      point -= base.weight;
+      if (point < 0) {
+        return base;
+      }
+    }
+  }
+  return healthy[0];
+}
+
+/**
+ * Records the outcome of an attempt for an upstream base. A base is marked unhealthy
+ * after `UPSTREAM_FAILURE_THRESHOLD` consecutive fetch errors, 5xx responses or errors while reading the body.
+ * @param {object} config - The worker configuration.
+ * @param {{ url: string }} base - The base used for the attempt, as returned by `selectUpstreamBase`.
+ * @param {boolean} isFailure - Whether the attempt failed at the transport or server level.
+ */
+export function reportUpstreamBaseStatus(config, base, isFailure) {
+  if (config.upstreamBases.length < 2) {
+    return;
+  }
+  const state = getBaseState(base.url);
+  if (!isFailure) {
+    state.consecutiveFailures = 0;
+    return;
+  }
+  state.consecutiveFailures++;
+  if (state.consecutiveFailures >= config.upstreamFailureThreshold) {
+    state.consecutiveFailures = 0;
+    state.unhealthyUntil = Date.now() + config.upstreamUnhealthyMs;
+    logEvent(config, "debug", "upstream_base_unhealthy", { base: base.url, unhealthyMs: config.upstreamUnhealthyMs });
+  }
+}
+
+/**
+ * Whether an upstream error status ends the request without further attempts.
+ * With several bases a 500 is not fatal: `fetchUpstream` has already counted it against
+ * its base, and the retry loop keeps going so failover can move to a healthy base.
+ * @param {object} config - The worker configuration.
+ * @param {number} status - The upstream HTTP status.
+ * @returns {boolean}
+ */
+export function isFatalUpstreamStatus(config, status) {
+  return FATAL_STATUS_CODES.includes(status) && config.upstreamBases.length < 2;
+}
+
+/**
+ * Selects the upstream base for one attempt and builds the URL on it.
+ * The base is returned with the URL so the outcome of the attempt is reported against exactly that base.
+ * In Vertex AI mode the Gemini API path is rewritten to the publisher model path.
+ * @param {object} config - The worker configuration.
+ * @param {string} path - The path and query string of the request.
+ * @returns {{ url: string, base: { url: string, weight: number } }} The upstream URL and the selected base.
+ */
+export function buildUpstreamTarget(config, path) {
+  const base = selectUpstreamBase(config);
+  return { url: `${base.url}${config.vertex ? toVertexPath(path, config.vertex) : path}`, base };
+}
+
+/**
+ * Sends an upstream request, logs the attempt and feeds the outcome back into the key pool and base URL health.
+ * Errors while reading the body happen after this returns; callers report them with `reportUpstreamBaseStatus`.
+ * In Vertex AI mode the request is authorized with a service-account access token first.
+ * @param {Request} upstreamRequest - The request built by `buildUpstreamRequest`.
+ * @param {{ url: string }} base - The base the request is sent to, from `buildUpstreamTarget`.
+ * @param {object} config - The worker configuration.
+ * @param {object} [context] - Extra fields for the `upstream_attempt` log event, e.g. the attempt number.
+ * @param {AbortSignal} [signal] - Aborts the request, e.g. when the client disconnects.
+ * @returns {Promise<Response>}
+ */
+export async function fetchUpstream(upstreamRequest, base, config, context = {}, signal) {
+  const authorizedRequest = config.vertex ? await authorizeVertexRequest(upstreamRequest, config) : upstreamRequest;
+  const startedAt = Date.now();
+  let response;
+  try {
+    response = await fetch(authorizedRequest, { signal });
+  } catch (error) {
+    if (signal?.aborted) {
+      // 主动中止不算上游故障
+      throw error;
+    }
+    logEvent(config, "warn", "upstream_attempt", { ...context, base: base.url, error: error.message, latencyMs: Date.now() - startedAt });
+    config.metrics?.recordUpstream("network_error");
+    reportUpstreamBaseStatus(config, base, true);
+    throw error;
+  }
+  const latencyMs = Date.now() - startedAt;
+  logEvent(config, response.ok ? "info" : "warn", "upstream_attempt", { ...context, base: base.url, status: response.status, latencyMs });
+  config.metrics?.recordUpstream(response.status);
+  reportUpstreamBaseStatus(config, base, response.status >= 500);
+  if (config.useKeyPool) {
+    reportUpstreamKeyStatus(config, upstreamRequest.headers.get("X-Goog-Api-Key"), response.status);
+  }
+  return config.metrics ? config.metrics.timeFirstChunk(response, startedAt) : response;
+}
+
+/**
+ * Builds a passthrough request, swapping the client's key for a pooled key when the pool is in use.
+ * @param {string} upstreamUrl - The target Gemini API URL.
+ * @param {Request} originalRequest - The original incoming request.
+ * @param {object} config - The worker configuration.
+ * @returns {Request}
+ */
+export function buildPassthroughRequest(upstreamUrl, originalRequest, config) {
+  if (!config.useKeyPool) {
+    return new Request(upstreamUrl, originalRequest);
+  }
+
+  const urlObj = new URL(upstreamUrl);
+  urlObj.searchParams.delete("key");
+  const headers = new Headers(originalRequest.headers);
+  headers.delete("Authorization");
+  headers.delete("x-api-key");
+  headers.set("X-Goog-Api-Key", selectUpstreamKey(config));
+  return new Request(urlObj.toString(), { method: originalRequest.method, headers, body: originalRequest.body });
+}
+
+/**
+ * Extracts the server-suggested retry delay from the `Retry-After` header
+ * or the `google.rpc.RetryInfo` detail of a Google error body.
+ * @param {Response} response - The failed upstream response.
+ * @param {string} errorText - The response body, already read.
+ * @returns {number|null} The delay in milliseconds, or null if the upstream gave no hint.
+ */
+export function getRetryAfterMs(response, errorText) {
+  const retryAfter = response.headers.get("Retry-After");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return Math.max(seconds * 1000, 0);
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(date - Date.now(), 0);
+    }
+  }
+
+  try {
+    // 流式接口的错误体可能是数组形式
+    const parsed = JSON.parse(errorText);
+    const details = (Array.isArray(parsed) ? parsed[0] : parsed)?.error?.details;
+    const retryInfo = Array.isArray(details) && details.find(detail => detail?.["@type"]?.endsWith("google.rpc.RetryInfo"));
+    const match = /^(\d+(?:\.\d+)?)s$/.exec(retryInfo?.retryDelay || "");
+    if (match) {
+      return parseFloat(match[1]) * 1000;
+    }
+  } catch (e) { /* not a JSON error body */ }
+  return null;
+}
+
+/**
+ * Computes an exponential backoff delay, optionally with full jitter.
+ * A server-provided hint is used as a lower bound; the policy's max delay only caps the exponential part.
+ * @param {{ baseDelayMs: number, multiplier: number, maxDelayMs: number, jitter: boolean }} policy - The backoff policy.
+ * @param {number} retryNumber - The 1-based number of the retry being scheduled.
+ * @param {number|null} [hintMs] - The delay suggested by the upstream.
+ * @returns {number} The delay in milliseconds.
+ */
+export function computeBackoffDelay(policy, retryNumber, hintMs = null) {
+  const exponential = policy.baseDelayMs * Math.pow(policy.multiplier, Math.max(retryNumber - 1, 0));
+  let delay = Math.min(exponential, policy.maxDelayMs);
+  if (policy.jitter) {
+    delay = Math.random() * delay;
+  }
+  if (hintMs !== null) {
+    delay = Math.max(delay, hintMs);
+  }
+  return Math.round(delay);
+}
+
+/**
+ * Creates the backoff state for one retry loop. Truncation retries (continuations)
+ * and error retries (status codes, fetch exceptions) use separate policies and counters.
+ * @param {object} config - The worker configuration.
+ * @returns {{ afterTruncation: () => void, afterError: (hintMs?: number|null) => boolean, wait: () => Promise<void> }}
+ */
+export function createRetryBackoff(config) {
+  let truncationRetries = 0;
+  let errorRetries = 0;
+  let pendingDelayMs = 0;
+
+  return {
+    afterTruncation() {
+      // 上游恢复正常后，错误退避重新开始计数
+      errorRetries = 0;
+      truncationRetries++;
+      pendingDelayMs = computeBackoffDelay(config.truncationBackoff, truncationRetries);
+    },
+    /**
+     * 安排出错重试的等待时间。上游要求的等待时间超过 RETRY_AFTER_MAX_MS 时返回 false，
+     * 调用方应直接返回上游错误，而不是提前重试后再次被限流
+     */
+    afterError(hintMs = null) {
+      errorRetries++;
+      if (hintMs !== null && hintMs > config.retryAfterMaxMs) {
+        logEvent(config, "warn", "retry_after_exceeded", { retryAfterMs: hintMs, maxMs: config.retryAfterMaxMs });
+        return false;
+      }
+      pendingDelayMs = computeBackoffDelay(config.errorBackoff, errorRetries, hintMs);
+      return true;
+    },
+    async wait() {
+      if (pendingDelayMs > 0) {
+        logEvent(config, "debug", "retry_backoff", { delayMs: pendingDelayMs });
+        await sleep(pendingDelayMs);
+      }
+      pendingDelayMs = 0;
+    },
+  };
+}
+
+/**
+ * Reads the next chunk from a stream reader, giving up after `timeoutMs`.
+ * @param {ReadableStreamDefaultReader} reader - The upstream body reader.
+ * @param {number} timeoutMs - The timeout in milliseconds; `0` waits indefinitely.
+ * @returns {Promise<{value?: Uint8Array, done: boolean}|null>} The read result, or null on timeout.
+ */
+export async function readWithTimeout(reader, timeoutMs) {
+  if (!(timeoutMs > 0)) {
+    return reader.read();
+  }
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), timeoutMs);
+  });
+  try {
+    return await Promise.race([reader.read(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -2,31 +2,551 @@
  * @fileoverview Utility functions for configuration, logging, and error handling.
  */
 
+import {
+  TARGET_MODELS,
+  CONTROL_HEADERS,
+  CORS_ALLOWED_HEADERS,
+  LOG_LEVELS,
+  PROTOCOL_KEYS,
+  BEGIN_TOKEN,
+  FINISHED_TOKEN,
+  INCOMPLETE_TOKEN,
+  BEGIN_TOKEN_PROMPT,
+  FINISH_TOKEN_PROMPT,
+  REMINDER_PROMPT,
+  FINISH_REASON_ACTIONS,
+  FINISH_REASON_ACTION_NAMES,
+} from "./constants.js";
+
+/**
+ * 已记录过的配置错误。配置在每个请求中重新解析，同一个错误在每个实例中只记录一次
+ * @type {Set<string>}
+ */
+const reportedConfigErrors = new Set();
+
+/**
+ * Parses a list-valued environment variable.
+ * Accepts either a JSON array or a comma-separated string.
+ * @param {string|undefined} value - The raw environment variable.
+ * @param {object[]} [errors] - Collects configuration errors, see `reportConfigErrors`.
+ * @param {string} [name] - The variable name, used in error reports.
+ * @returns {string[]|null} The list entries, or null if the variable is unset or empty.
+ */
+export function parseList(value, errors = [], name = "") {
+  if (typeof value !== "string" || !value.trim()) {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      if (Array.isArray(parsed)) {
+        return parsed.map(item => String(item).trim()).filter(Boolean);
+      }
+    } catch (e) {
+      errors.push({ variable: name, message: "Invalid JSON list, parsed as a comma-separated string instead." });
+    }
+  }
+
+  return trimmed.split(",").map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Compiles model name patterns into regular expressions.
+ * `/regex/flags` entries are used as-is, everything else is treated as a glob
+ * where `*` matches any sequence and `?` matches a single character.
+ * @param {string[]} patterns - The model patterns.
+ * @param {object[]} [errors] - Collects configuration errors, see `reportConfigErrors`.
+ * @param {string} [name] - The variable name, used in error reports.
+ * @returns {RegExp[]} The compiled patterns.
+ */
+export function compileModelPatterns(patterns, errors = [], name = "") {
+  const compiled = [];
+  for (const pattern of patterns) {
+    const regexLiteral = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    try {
+      if (regexLiteral) {
+        // g / y 会让 RegExp.test 记住上次匹配的位置，同一个模式对后续请求的结果就不再可靠
+        compiled.push(new RegExp(regexLiteral[1], regexLiteral[2].replace(/[gy]/g, "")));
+      } else {
+        const source = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+        compiled.push(new RegExp(`^${source}$`));
+      }
+    } catch (e) {
+      errors.push({ variable: name, message: `Invalid model pattern "${pattern}": ${e.message}` });
+    }
+  }
+  return compiled;
+}
+
+/**
+ * Parses the upstream base URL list. Each entry may carry a weight as `url|weight`.
+ * @param {string|undefined} value - The raw `UPSTREAM_URL_BASE` variable.
+ * @param {string} defaultBase - The base URL used when the variable is unset.
+ * @param {object[]} errors - Collects configuration errors.
+ * @returns {{ url: string, weight: number }[]} The upstream bases, in configured order.
+ */
+function parseUpstreamBases(value, defaultBase, errors) {
+  const entries = parseList(value, errors, "UPSTREAM_URL_BASE") || [defaultBase];
+  return entries.map(entry => {
+    const [url, weight] = entry.split("|");
+    const parsedWeight = parseFloat(weight);
+    return {
+      url: url.trim().replace(/\/+$/, ""),
+      weight: Number.isFinite(parsedWeight) && parsedWeight > 0 ? parsedWeight : 1,
+    };
+  });
+}
+
+/**
+ * Adds the per-request nonce to a token, inside the closing bracket when there is one
+ * (`[RESPONSE_BEGIN]` becomes `[RESPONSE_BEGIN:1a2b3c4d]`).
+ * @param {string} token - The configured token.
+ * @param {string} nonce - The nonce, or an empty string.
+ * @returns {string} The token used for this request.
+ */
+function applyNonce(token, nonce) {
+  if (!nonce) {
+    return token;
+  }
+  return token.endsWith("]") ? `${token.slice(0, -1)}:${nonce}]` : `${token}:${nonce}`;
+}
+
+/**
+ * Generates a random token suffix for one request.
+ * @returns {string} 12 hex characters.
+ */
+function createProtocolNonce() {
+  return crypto.randomUUID().replaceAll("-", "").slice(0, 12);
+}
+
+/**
+ * Builds the protocol tokens and rendered prompts from env-style values, falling back to the defaults
+ * in `constants.js`. `{{BEGIN_TOKEN}}` and `{{FINISHED_TOKEN}}` in the prompt templates are replaced
+ * with the resolved tokens, including the nonce when one is given.
+ * @param {object} values - Values keyed by the names in `PROTOCOL_KEYS`.
+ * @param {string} [nonce] - The per-request token suffix.
+ * @returns {{ nonce: string, beginToken: string, finishedToken: string, incompleteToken: string, reservedTokens: string[], beginTokenPrompt: string, finishTokenPrompt: string, reminderPrompt: string }}
+ */
+export function buildProtocol(values, nonce = "") {
+  const baseBeginToken = values.BEGIN_TOKEN || BEGIN_TOKEN;
+  const baseFinishedToken = values.FINISHED_TOKEN || FINISHED_TOKEN;
+  const beginToken = applyNonce(baseBeginToken, nonce);
+  const finishedToken = applyNonce(baseFinishedToken, nonce);
+  const render = (template) => template
+    .replaceAll("{{BEGIN_TOKEN}}", beginToken)
+    .replaceAll("{{FINISHED_TOKEN}}", finishedToken);
+
+  return {
+    nonce,
+    beginToken,
+    finishedToken,
+    // 不带 nonce 的 INCOMPLETE_TOKEN 是返回给客户端的固定标记
+    incompleteToken: values.INCOMPLETE_TOKEN || INCOMPLETE_TOKEN,
+    // 客户端消息中出现这些标记时需要中和，带 nonce 时也包括不带后缀的原始标记
+    reservedTokens: [...new Set([beginToken, finishedToken, baseBeginToken, baseFinishedToken])],
+    beginTokenPrompt: render(values.BEGIN_TOKEN_PROMPT || BEGIN_TOKEN_PROMPT),
+    finishTokenPrompt: render(values.FINISH_TOKEN_PROMPT || FINISH_TOKEN_PROMPT),
+    reminderPrompt: render(values.REMINDER_PROMPT || REMINDER_PROMPT),
+  };
+}
+
+/**
+ * Reads protocol overrides from a KV namespace, one key per entry in `PROTOCOL_KEYS`.
+ * Missing keys are left out so env values and defaults still apply.
+ * @param {object} kv - The bound KV namespace.
+ * @returns {Promise<object>} The overrides keyed by name.
+ */
+export async function loadProtocolOverrides(kv) {
+  const entries = await Promise.all(PROTOCOL_KEYS.map(async key => [key, await kv.get(key, { cacheTtl: 60 })]));
+  return Object.fromEntries(entries.filter(([, value]) => value));
+}
+
+/**
+ * Resolves the log level from `LOG_LEVEL`, falling back to the legacy `DEBUG_MODE` switch.
+ * @param {object} env - The environment variables.
+ * @returns {string} One of the keys of `LOG_LEVELS`.
+ */
+function parseLogLevel(env) {
+  const level = env.LOG_LEVEL?.trim().toLowerCase();
+  if (level && Object.hasOwn(LOG_LEVELS, level)) {
+    return level;
+  }
+  return env.DEBUG_MODE === "true" ? "debug" : "info";
+}
+
+/**
+ * Parses a backoff policy from `<PREFIX>_BASE_MS`, `<PREFIX>_MULTIPLIER`, `<PREFIX>_MAX_MS` and `<PREFIX>_JITTER`.
+ * @param {object} env - The environment variables.
+ * @param {string} prefix - The variable prefix.
+ * @param {{ baseDelayMs: number, multiplier: number, maxDelayMs: number, jitter: boolean }} defaults - The default policy.
+ * @returns {{ baseDelayMs: number, multiplier: number, maxDelayMs: number, jitter: boolean }} The backoff policy.
+ */
+function parseBackoffPolicy(env, prefix, defaults) {
+  const number = (name, fallback) => {
+    const value = parseFloat(env[`${prefix}_${name}`]);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+  const jitter = env[`${prefix}_JITTER`];
+  return {
+    baseDelayMs: number("BASE_MS", defaults.baseDelayMs),
+    multiplier: number("MULTIPLIER", defaults.multiplier),
+    maxDelayMs: number("MAX_MS", defaults.maxDelayMs),
+    jitter: jitter ? jitter !== "none" : defaults.jitter,
+  };
+}
+
+/**
+ * Parses a timeout in milliseconds where `0` disables the timeout.
+ * @param {string} value - The environment variable value.
+ * @param {number} fallback - The default timeout.
+ * @returns {number} The timeout in milliseconds.
+ */
+function parseTimeoutMs(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Parses the per-reason actions from `FINISH_REASON_ACTIONS`, on top of the defaults.
+ * Accepts either a JSON object or a comma-separated list of `REASON=action` pairs.
+ * Invalid JSON and entries with an unknown action are reported and ignored.
+ * @param {string|undefined} value - The raw environment variable.
+ * @param {object[]} errors - Collects configuration errors.
+ * @returns {Object<string, string>} The action for each finish reason.
+ */
+function parseFinishReasonActions(value, errors) {
+  const actions = { ...FINISH_REASON_ACTIONS };
+  if (typeof value !== "string" || !value.trim()) {
+    return actions;
+  }
+
+  let entries;
+  const trimmed = value.trim();
+  if (trimmed.startsWith("{")) {
+    try {
+      entries = Object.entries(JSON.parse(trimmed));
+    } catch (e) {
+      errors.push({ variable: "FINISH_REASON_ACTIONS", message: "Invalid JSON object, the default actions are used instead." });
+      return actions;
+    }
+  } else {
+    entries = trimmed.split(",").map(item => item.split("="));
+  }
+
+  for (const [reason, action] of entries) {
+    const name = String(action ?? "").trim().toLowerCase();
+    if (reason && FINISH_REASON_ACTION_NAMES.includes(name)) {
+      actions[reason.trim().toUpperCase()] = name;
+    } else {
+      errors.push({ variable: "FINISH_REASON_ACTIONS", message: `Ignored entry "${reason}=${action ?? ""}", the action must be one of ${FINISH_REASON_ACTION_NAMES.join(", ")}.` });
+    }
+  }
+  return actions;
+}
+
+/**
+ * Parses the proxy access tokens from `ACCESS_TOKENS`, a JSON object keyed by token.
+ * A value may be a single upstream key, an array of keys used as the token's own pool, or an object
+ * with optional `keys` and `models` (an allowlist of model patterns). Tokens without keys use `UPSTREAM_API_KEYS`.
+ * An invalid value yields an empty map so that every token is rejected rather than the check being skipped.
+ * @param {string|undefined} value - The raw environment variable.
+ * @param {object[]} errors - Collects configuration errors.
+ * @returns {Map<string, { keys: string[]|null, models: RegExp[]|null }>|null} The tokens, or null if access tokens are not configured.
+ */
+function parseAccessTokens(value, errors) {
+  if (typeof value !== "string" || !value.trim()) {
+    return null;
+  }
+
+  const tokens = new Map();
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (e) {
+    errors.push({ variable: "ACCESS_TOKENS", message: "Invalid JSON object, every token is rejected." });
+    return tokens;
+  }
+
+  const toList = (item) => (typeof item === "string" ? [item] : Array.isArray(item) ? item.map(String) : null);
+  for (const [token, entry] of Object.entries(parsed || {})) {
+    const isObject = entry && typeof entry === "object" && !Array.isArray(entry);
+    const keys = toList(isObject ? entry.keys : entry);
+    const models = isObject ? toList(entry.models) : null;
+    tokens.set(token, {
+      keys: keys && keys.length > 0 ? keys : null,
+      models: models ? compileModelPatterns(models, errors, "ACCESS_TOKENS") : null,
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Returns the default upstream base URL for a Vertex AI location.
+ * @param {string} location - The Vertex AI location, e.g. `us-central1` or `global`.
+ * @returns {string} The base URL.
+ */
+function getVertexBaseUrl(location) {
+  return location === "global"
+    ? "https://aiplatform.googleapis.com"
+    : `https://${location}-aiplatform.googleapis.com`;
+}
+
+/**
+ * Parses the Vertex AI upstream settings. Only used when `UPSTREAM_MODE` is `vertex`.
+ * The project defaults to the `project_id` of the service account key.
+ * @param {object} env - The environment variables.
+ * @param {object[]} errors - Collects configuration errors.
+ * @returns {{ projectId: string|null, location: string, serviceAccount: object|null }|null} The Vertex AI configuration, or null in Gemini API mode.
+ */
+function parseVertexConfig(env, errors) {
+  if (env.UPSTREAM_MODE !== "vertex") {
+    return null;
+  }
+
+  let serviceAccount = null;
+  try {
+    serviceAccount = JSON.parse(env.VERTEX_SERVICE_ACCOUNT);
+  } catch (e) {
+    errors.push({ variable: "VERTEX_SERVICE_ACCOUNT", message: "Invalid JSON, requests to Vertex AI cannot be authorized." });
+  }
+  return {
+    projectId: env.VERTEX_PROJECT_ID || serviceAccount?.project_id || null,
+    location: env.VERTEX_LOCATION || "us-central1",
+    serviceAccount,
+  };
+}
+
 /**
  * Parses environment variables into a structured configuration object.
  * @param {object} env - The environment variables from the Worker context.
  * @returns {object} A configuration object.
  */
 export function parseConfig(env) {
+  const maxRetries = parseInt(env.MAX_RETRIES, 10) || 3;
+  const configErrors = [];
+  const vertex = parseVertexConfig(env, configErrors);
+  const listOf = (name) => parseList(env[name], configErrors, name);
+  const targetModelRules = listOf("TARGET_MODELS") || TARGET_MODELS;
+  const includeModelRules = listOf("INCLUDE_MODELS") || [];
+  const upstreamApiKeys = listOf("UPSTREAM_API_KEYS") || [];
+  const keyPoolAccessKeys = listOf("KEY_POOL_ACCESS_KEYS") || [];
+  // key 池默认不对任何客户端开放，未列出可用的客户端时 key 池不会被使用
+  if (upstreamApiKeys.length > 0 && keyPoolAccessKeys.length === 0 && !env.ACCESS_TOKENS) {
+    configErrors.push({
+      variable: "UPSTREAM_API_KEYS",
+      message: "The key pool is unused because neither KEY_POOL_ACCESS_KEYS nor ACCESS_TOKENS is set.",
+    });
+  }
   return {
-    upstreamUrlBase: env.UPSTREAM_URL_BASE || "https://generativelanguage.googleapis.com",
-    maxRetries: parseInt(env.MAX_RETRIES, 10) || 3,
-    debugMode: env.DEBUG_MODE === "true",
+    // Vertex AI 模式：改写为 publisher model 路径，并用服务账号换取的 access token 认证；null 表示 Gemini API
+    vertex,
+    upstreamBases: parseUpstreamBases(env.UPSTREAM_URL_BASE, vertex ? getVertexBaseUrl(vertex.location) : "https://generativelanguage.googleapis.com", configErrors),
+    upstreamStrategy: env.UPSTREAM_STRATEGY === "weighted" ? "weighted" : "ordered",
+    upstreamFailureThreshold: parseInt(env.UPSTREAM_FAILURE_THRESHOLD, 10) || 3,
+    upstreamUnhealthyMs: parseInt(env.UPSTREAM_UNHEALTHY_MS, 10) || 30000,
+    maxRetries,
+    logLevel: parseLogLevel(env),
     startOfThought: env.START_OF_THOUGHT || "Here's a",
+    targetModels: compileModelPatterns(targetModelRules, configErrors, "TARGET_MODELS"),
+    includeModels: compileModelPatterns(includeModelRules, configErrors, "INCLUDE_MODELS"),
+    excludeModels: compileModelPatterns(listOf("EXCLUDE_MODELS") || [], configErrors, "EXCLUDE_MODELS"),
+    // 指标的 model 标签只取这些规则的原文，而不是客户端传入的模型名
+    metricsModelRules: [...targetModelRules, ...includeModelRules],
+    allowControlHeaders: env.ALLOW_CONTROL_HEADERS !== "false",
+    maxRetriesCeiling: parseInt(env.MAX_RETRIES_CEILING, 10) || maxRetries,
+    startOfThoughtMaxLength: parseInt(env.START_OF_THOUGHT_MAX_LENGTH, 10) || 200,
+    structuredOutputMode: env.STRUCTURED_OUTPUT_MODE === "passthrough" ? "passthrough" : "validate",
+    // 上游流在首个数据块前或两个数据块之间停顿超时后按截断处理，0 表示不限制
+    streamFirstChunkTimeoutMs: parseTimeoutMs(env.STREAM_FIRST_CHUNK_TIMEOUT_MS, 120000),
+    streamIdleTimeoutMs: parseTimeoutMs(env.STREAM_IDLE_TIMEOUT_MS, 60000),
+    // "stream" 表示非流式请求也以 streamGenerateContent 发往上游，断开时保留已收到的文本
+    nonStreamingUpstream: env.NON_STREAMING_UPSTREAM === "stream" ? "stream" : "generate",
+    // 拼接续写时去掉与前文重复的开头和多余的协议标记
+    seamRepair: env.SEAM_REPAIR !== "false",
+    // 按 finishReason / promptFeedback.blockReason 决定重试、续写、直接失败或返回部分结果
+    finishReasonActions: parseFinishReasonActions(env.FINISH_REASON_ACTIONS, configErrors),
+    // 协议标记与提示词；绑定 PROTOCOL_KV 时由入口用 KV 中的值重新构建
+    // PROTOCOL_NONCE 开启时每个请求的标记带有不同的随机后缀
+    protocol: buildProtocol(env, env.PROTOCOL_NONCE === "true" ? createProtocolNonce() : ""),
+    upstreamApiKeys,
+    keyPoolAccessKeys,
+    keyPoolStrategy: env.KEY_POOL_STRATEGY === "least-recently-throttled" ? "least-recently-throttled" : "round-robin",
+    keyCooldownMs: parseInt(env.KEY_COOLDOWN_MS, 10) || 60000,
+    // 代理访问令牌，配置后客户端只能使用这些令牌，上游请求使用令牌对应的 key 或 key 池
+    accessTokens: parseAccessTokens(env.ACCESS_TOKENS, configErrors),
+    // 由入口根据访问令牌设置，null 表示不限制模型
+    allowedModels: null,
+    cors: {
+      allowedOrigins: listOf("CORS_ALLOWED_ORIGINS") || ["*"],
+      allowedMethods: listOf("CORS_ALLOWED_METHODS") || ["GET", "POST", "OPTIONS"],
+      allowedHeaders: listOf("CORS_ALLOWED_HEADERS") || CORS_ALLOWED_HEADERS,
+    },
+    // 出错重试逐步放慢，截断续写默认立即进行
+    errorBackoff: parseBackoffPolicy(env, "ERROR_BACKOFF", { baseDelayMs: 1000, multiplier: 2, maxDelayMs: 10000, jitter: true }),
+    truncationBackoff: parseBackoffPolicy(env, "TRUNCATION_BACKOFF", { baseDelayMs: 0, multiplier: 1, maxDelayMs: 0, jitter: false }),
+    // 上游通过 Retry-After / RetryInfo 要求的等待时间按原值遵守，超过此上限则直接返回上游错误
+    retryAfterMaxMs: parseTimeoutMs(env.RETRY_AFTER_MAX_MS, 60000),
+    // 由入口根据客户端 key 决定是否使用 key 池
+    useKeyPool: false,
+    metricsToken: env.METRICS_TOKEN || null,
+    metricsStore: env.METRICS || null,
+    // 由入口为每个请求创建的指标记录器
+    metrics: null,
+    // 由入口为每个请求设置，用于关联同一请求的所有日志事件
+    requestId: null,
+    requestStartedAt: Date.now(),
+    // 由请求头覆盖：null 表示按模型路由规则决定，injectBegin 为 null 表示按 thinkingBudget 决定
+    antiTruncation: null,
+    injectBegin: null,
+    // 解析环境变量时发现的错误，由入口通过 reportConfigErrors 记录
+    configErrors,
   };
 }
 
 /**
- * Logs messages to the console if debug mode is enabled.
- * @param {boolean} debugMode - Whether debug mode is active.
- * @param {...any} args - The messages or objects to log.
+ * Logs the errors collected while parsing the configuration as `config_invalid` events.
+ * Each error is logged once per isolate instead of on every request.
+ * @param {object} config - The worker configuration.
+ */
+export function reportConfigErrors(config) {
+  for (const error of config.configErrors) {
+    const key = JSON.stringify(error);
+    if (reportedConfigErrors.has(key)) continue;
+    reportedConfigErrors.add(key);
+    logEvent(config, "error", "config_invalid", error);
+  }
+}
+
+/**
+ * Applies the per-request control headers on top of the worker configuration.
+ * Values are clamped to the operator-defined ceilings; invalid values are ignored.
+ * @param {Request} request - The incoming request.
+ * @param {object} config - The worker configuration.
+ * @returns {object} A configuration object for this request only.
+ */
+export function applyControlHeaders(request, config) {
+  if (!config.allowControlHeaders) {
+    return config;
+  }
+
+  const requestConfig = { ...config };
+  const headers = request.headers;
+
+  const mode = headers.get(CONTROL_HEADERS.MODE)?.trim().toLowerCase();
+  if (mode === "on" || mode === "off") {
+    requestConfig.antiTruncation = mode === "on";
+  } else if (mode) {
+    logEvent(config, "debug", "control_header_ignored", { header: CONTROL_HEADERS.MODE, value: mode });
+  }
+
+  const maxRetries = parseInt(headers.get(CONTROL_HEADERS.MAX_RETRIES), 10);
+  if (Number.isInteger(maxRetries) && maxRetries >= 0) {
+    requestConfig.maxRetries = Math.min(maxRetries, config.maxRetriesCeiling);
+  }
+
+  const startOfThought = headers.get(CONTROL_HEADERS.START_OF_THOUGHT);
+  if (startOfThought) {
+    requestConfig.startOfThought = startOfThought.substring(0, config.startOfThoughtMaxLength);
+  }
+
+  const injectBegin = headers.get(CONTROL_HEADERS.INJECT_BEGIN)?.trim().toLowerCase();
+  if (injectBegin === "true" || injectBegin === "false") {
+    requestConfig.injectBegin = injectBegin === "true";
+  } else if (injectBegin) {
+    logEvent(config, "debug", "control_header_ignored", { header: CONTROL_HEADERS.INJECT_BEGIN, value: injectBegin });
+  }
+
+  logEvent(config, "debug", "control_headers_applied", {
+    antiTruncation: requestConfig.antiTruncation,
+    maxRetries: requestConfig.maxRetries,
+    startOfThought: requestConfig.startOfThought,
+    injectBegin: requestConfig.injectBegin,
+  });
+  return requestConfig;
+}
+
+/**
+ * Returns a copy of the request without the anti-truncation control headers,
+ * so they are never forwarded upstream (including on passthrough paths).
+ * @param {Request} request - The incoming request.
+ * @returns {Request} The sanitized request.
+ */
+export function stripControlHeaders(request) {
+  const headers = new Headers(request.headers);
+  for (const name of Object.values(CONTROL_HEADERS)) {
+    headers.delete(name);
+  }
+  return new Request(request, { headers });
+}
+
+/**
+ * Emits a structured JSON log event tagged with the request ID.
+ * @param {object} config - The worker configuration.
+ * @param {string} level - One of the keys of `LOG_LEVELS`.
+ * @param {string} event - The event name, e.g. `upstream_attempt`.
+ * @param {object} [fields] - Additional event fields.
  */
-export function logDebug(debugMode, ...args) {
-  if (debugMode) {
-    console.log(`[DEBUG ${new Date().toISOString()}]`, ...args);
+export function logEvent(config, level, event, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[config.logLevel]) {
+    return;
+  }
+  const entry = JSON.stringify({ time: new Date().toISOString(), level, event, requestId: config.requestId, ...fields });
+  if (level === "error") {
+    console.error(entry);
+  } else if (level === "warn") {
+    console.warn(entry);
+  } else {
+    console.log(entry);
   }
 }
 
+/**
+ * Returns the request ID for an incoming request, reusing a well-formed
+ * `X-Request-Id` header from the client or generating a new one.
+ * @param {Request} request - The incoming request.
+ * @returns {string} The request ID.
+ */
+export function resolveRequestId(request) {
+  const incoming = request.headers.get("X-Request-Id");
+  if (incoming && /^[\w.:-]{1,128}$/.test(incoming)) {
+    return incoming;
+  }
+  return crypto.randomUUID();
+}
+
+/**
+ * Returns a copy of the response carrying the `X-Request-Id` header.
+ * @param {Response} response - The response to tag.
+ * @param {string} requestId - The request ID.
+ * @returns {Response} The tagged response.
+ */
+export function withRequestId(response, requestId) {
+  const tagged = new Response(response.body, response);
+  tagged.headers.set("X-Request-Id", requestId);
+  tagged.headers.set("Access-Control-Expose-Headers", "X-Request-Id");
+  return tagged;
+}
+
+/**
+ * Extracts the client's API key from the request.
+ * Supports the Gemini `key` query parameter, the `X-Goog-Api-Key` header,
+ * an OpenAI-style `Authorization: Bearer` header and the Anthropic-style `x-api-key` header.
+ * @param {Request} request - The incoming request.
+ * @param {URL} url - The parsed URL of the request.
+ * @returns {string|null} The API key, or null if none was provided.
+ */
+export function extractApiKey(request, url) {
+  const authorization = request.headers.get("Authorization") || "";
+  const bearerMatch = /^Bearer\s+(.+)$/i.exec(authorization);
+
+  return url.searchParams.get("key")
+    || request.headers.get("X-Goog-Api-Key")
+    || (bearerMatch ? bearerMatch[1].trim() : null)
+    || request.headers.get("x-api-key");
+}
+
 /**
  * Creates a standardized JSON error response.
  * @param {number} status - The HTTP status code.
@@ -46,21 +566,78 @@ export function jsonError(status, message, details = null) {
     status,
     headers: {
       "Content-Type": "application/json; charset=utf-8",
-      "Access-Control-Allow-Origin": "*",
     },
   });
 }
 
 /**
- * Handles CORS preflight (OPTIONS) requests.
+ * Reads a human-readable error message from an error response produced by
+ * `jsonError` or returned by the upstream API.
+ * @param {Response} response - The error response.
+ * @returns {Promise<string>} The error message.
+ */
+export async function extractErrorMessage(response) {
+  const text = await response.text();
+  try {
+    // Vertex AI 的流式接口以数组形式返回错误
+    const parsed = JSON.parse(text);
+    const json = Array.isArray(parsed) ? parsed[0] || {} : parsed;
+    let message = json.error?.message || text;
+    if (typeof json.error?.details === "string" && json.error.details) {
+      message += ` ${json.error.details}`;
+    }
+    return message;
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * Handles CORS preflight (OPTIONS) requests. The allowed origin is added by `withCorsHeaders`.
+ * @param {object} config - The worker configuration.
  * @returns {Response} A Response object with CORS headers.
  */
-export function handleOptionsRequest() {
+export function handleOptionsRequest(config) {
   return new Response(null, {
     headers: {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Goog-Api-Key",
+      "Access-Control-Allow-Methods": config.cors.allowedMethods.join(", "),
+      "Access-Control-Allow-Headers": config.cors.allowedHeaders.join(", "),
     },
   });
 }
+
+/**
+ * Applies the configured CORS origin policy to a response.
+ * With `*` every origin is allowed; otherwise the request's `Origin` is echoed back only when it is listed,
+ * and responses to other origins carry no `Access-Control-Allow-Origin` header at all.
+ * @param {Response} response - The response to tag.
+ * @param {Request} request - The incoming request.
+ * @param {object} config - The worker configuration.
+ * @returns {Response} The tagged response.
+ */
+export function withCorsHeaders(response, request, config) {
+  const tagged = new Response(response.body, response);
+  const { allowedOrigins } = config.cors;
+  // 透传的上游响应可能自带 CORS 头，统一以运维配置为准
+  tagged.headers.delete("Access-Control-Allow-Origin");
+  if (allowedOrigins.includes("*")) {
+    tagged.headers.set("Access-Control-Allow-Origin", "*");
+    return tagged;
+  }
+
+  const origin = request.headers.get("Origin");
+  tagged.headers.append("Vary", "Origin");
+  if (origin && allowedOrigins.includes(origin)) {
+    tagged.headers.set("Access-Control-Allow-Origin", origin);
+  }
+  return tagged;
+}
+
+/**
+ * Resolves after the given number of milliseconds.
+ * @param {number} ms - The delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
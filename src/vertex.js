@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Vertex AI upstream: path rewriting and service-account authentication.
+ * Access tokens live in module scope until shortly before they expire, so they are shared by every request served by the same isolate.
+ */
+
+import { VERTEX_AUTH } from "./constants.js";
+import { logEvent } from "./utils.js";
+
+/**
+ * 每个服务账号缓存的 access token 及其过期时间
+ * @type {Map<string, { accessToken: string, expiresAt: number }>}
+ */
+const tokenCache = new Map();
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Rewrites a Gemini API path to the Vertex AI publisher model path.
+ * `/v1beta/models/{model}:generateContent` becomes
+ * `/v1/projects/{project}/locations/{location}/publishers/google/models/{model}:generateContent`;
+ * the `key` query parameter is dropped because Vertex AI authenticates with an access token.
+ * @param {string} path - The path and query string of the Gemini API request.
+ * @param {{ projectId: string|null, location: string }} vertex - The Vertex AI configuration.
+ * @returns {string} The Vertex AI path and query string.
+ */
+export function toVertexPath(path, vertex) {
+  const url = new URL(path, "http://vertex.invalid");
+  url.searchParams.delete("key");
+  const query = url.searchParams.toString();
+  const pathname = url.pathname.replace(
+    /^\/v1[a-z0-9]*\/models(?=\/|$)/,
+    `/v1/projects/${encodeURIComponent(vertex.projectId || "")}/locations/${encodeURIComponent(vertex.location)}/publishers/google/models`,
+  );
+  return `${pathname}${query ? `?${query}` : ""}`;
+}
+
+/**
+ * Base64url-encodes a string or binary value, as used in JWTs.
+ * @param {string|ArrayBuffer} value - The value to encode.
+ * @returns {string} The unpadded base64url string.
+ */
+function base64UrlEncode(value) {
+  const bytes = typeof value === "string" ? textEncoder.encode(value) : new Uint8Array(value);
+  let binary = "";
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Imports the PEM-encoded PKCS#8 private key of a service account for RS256 signing.
+ * @param {string} pem - The `private_key` field of the service account key file.
+ * @returns {Promise<CryptoKey>}
+ */
+async function importPrivateKey(pem) {
+  const base64 = pem.replace(/-----(BEGIN|END) PRIVATE KEY-----/g, "").replace(/\s+/g, "");
+  const der = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  return crypto.subtle.importKey("pkcs8", der, { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, false, ["sign"]);
+}
+
+/**
+ * Signs a service-account JWT and exchanges it for an OAuth access token.
+ * @param {object} serviceAccount - The parsed service account key file.
+ * @returns {Promise<{ accessToken: string, expiresAt: number }>}
+ */
+async function requestAccessToken(serviceAccount) {
+  const tokenUri = serviceAccount.token_uri || VERTEX_AUTH.tokenUri;
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const header = { alg: "RS256", typ: "JWT", ...(serviceAccount.private_key_id ? { kid: serviceAccount.private_key_id } : {}) };
+  const claims = {
+    iss: serviceAccount.client_email,
+    scope: VERTEX_AUTH.scope,
+    aud: tokenUri,
+    iat: issuedAt,
+    exp: issuedAt + VERTEX_AUTH.assertionLifetimeSeconds,
+  };
+  const unsignedToken = `${base64UrlEncode(JSON.stringify(header))}.${base64UrlEncode(JSON.stringify(claims))}`;
+  const key = await importPrivateKey(serviceAccount.private_key);
+  const signature = await crypto.subtle.sign("RSASSA-PKCS1-v1_5", key, textEncoder.encode(unsignedToken));
+
+  const response = await fetch(tokenUri, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+      assertion: `${unsignedToken}.${base64UrlEncode(signature)}`,
+    }).toString(),
+  });
+  if (!response.ok) {
+    throw new Error(`Token exchange failed with status ${response.status}: ${await response.text()}`);
+  }
+  const json = await response.json();
+  if (!json.access_token) {
+    throw new Error("Token exchange response did not contain an access_token.");
+  }
+  return {
+    accessToken: json.access_token,
+    expiresAt: Date.now() + (Number(json.expires_in) || VERTEX_AUTH.assertionLifetimeSeconds) * 1000,
+  };
+}
+
+/**
+ * Returns an OAuth access token for the configured service account, reusing the cached token
+ * until it is about to expire.
+ * @param {object} config - The worker configuration.
+ * @returns {Promise<string>} The access token.
+ */
+export async function getVertexAccessToken(config) {
+  const serviceAccount = config.vertex.serviceAccount;
+  if (!serviceAccount?.client_email || !serviceAccount?.private_key) {
+    throw new Error("VERTEX_SERVICE_ACCOUNT must be a service account key with client_email and private_key.");
+  }
+
+  const cached = tokenCache.get(serviceAccount.client_email);
+  if (cached && cached.expiresAt - VERTEX_AUTH.refreshMarginMs > Date.now()) {
+    return cached.accessToken;
+  }
+
+  logEvent(config, "debug", "vertex_token_requested", { clientEmail: serviceAccount.client_email });
+  const token = await requestAccessToken(serviceAccount);
+  tokenCache.set(serviceAccount.client_email, token);
+  return token.accessToken;
+}
+
+/**
+ * Replaces the Gemini API key of an upstream request with a Vertex AI access token.
+ * @param {Request} upstreamRequest - The request built by `buildUpstreamRequest` or `buildPassthroughRequest`.
+ * @param {object} config - The worker configuration.
+ * @returns {Promise<Request>} The authorized request.
+ */
+export async function authorizeVertexRequest(upstreamRequest, config) {
+  let accessToken;
+  try {
+    accessToken = await getVertexAccessToken(config);
+  } catch (error) {
+    logEvent(config, "error", "vertex_auth_failed", { message: error.message });
+    throw error;
+  }
+
+  const url = new URL(upstreamRequest.url);
+  url.searchParams.delete("key");
+  const headers = new Headers(upstreamRequest.headers);
+  headers.delete("X-Goog-Api-Key");
+  headers.delete("x-api-key");
+  headers.set("Authorization", `Bearer ${accessToken}`);
+  const hasBody = upstreamRequest.method !== "GET" && upstreamRequest.method !== "HEAD";
+  return new Request(url.toString(), {
+    method: upstreamRequest.method,
+    headers,
+    body: hasBody ? await upstreamRequest.arrayBuffer() : undefined,
+  });
+}
@@ -0,0 +1,151 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, callWorker, geminiRequest } from './helpers';
+
+const VARS = {
+	UPSTREAM_API_KEYS: 'shared-upstream-key',
+	ACCESS_TOKENS: JSON.stringify({
+		alice: 'alice-upstream-key',
+		bob: { keys: ['bob-upstream-key'], models: ['gemini-2.5-*'] },
+		carol: {},
+	}),
+	CORS_ALLOWED_ORIGINS: 'https://app.example.com',
+	CORS_ALLOWED_METHODS: 'POST,OPTIONS',
+	CORS_ALLOWED_HEADERS: 'Content-Type,X-Goog-Api-Key',
+};
+
+function complete() {
+	return Response.json(geminiJson([{ parts: [{ text: 't\n' }, { text: '[RESPONSE_BEGIN]\nok[RESPONSE_FINISHED]' }], finishReason: 'STOP' }]), {
+		headers: { 'Access-Control-Allow-Origin': '*' },
+	});
+}
+
+function generate(token: string, model = 'gemini-2.5-pro', headers: Record<string, string> = {}) {
+	return callWorker(`/v1beta/models/${model}:generateContent?key=${token}`, { headers, json: geminiRequest() }, VARS);
+}
+
+describe('proxy access tokens', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('sends the upstream key mapped to the token instead of the token itself', async () => {
+		const requests = mockUpstream(complete);
+		const response = await generate('alice');
+
+		expect(response.status).toBe(200);
+		expect(requests[0].headers.get('X-Goog-Api-Key')).toBe('alice-upstream-key');
+		expect(new URL(requests[0].url).searchParams.has('key')).toBe(false);
+	});
+
+	it('falls back to UPSTREAM_API_KEYS for tokens without keys', async () => {
+		const requests = mockUpstream(complete);
+		await generate('carol');
+
+		expect(requests[0].headers.get('X-Goog-Api-Key')).toBe('shared-upstream-key');
+	});
+
+	it('rejects anything that is not a configured token, including real Gemini keys', async () => {
+		const requests = mockUpstream(complete);
+		const response = await generate('AIzaSyRealGeminiKey');
+
+		expect(response.status).toBe(401);
+		expect(requests).toHaveLength(0);
+	});
+
+	it('rejects every token when ACCESS_TOKENS is not valid JSON', async () => {
+		const requests = mockUpstream(complete);
+		const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+		const response = await callWorker(
+			'/v1beta/models/gemini-2.5-pro:generateContent?key=alice',
+			{ json: geminiRequest() },
+			{ ACCESS_TOKENS: '{broken', LOG_LEVEL: 'error' },
+		);
+
+		expect(response.status).toBe(401);
+		expect(requests).toHaveLength(0);
+		const events = consoleError.mock.calls.map(([entry]) => JSON.parse(entry));
+		expect(events).toContainEqual(expect.objectContaining({ event: 'config_invalid', variable: 'ACCESS_TOKENS' }));
+	});
+
+	it('enforces the model allowlist on every endpoint', async () => {
+		const requests = mockUpstream(complete);
+
+		expect((await generate('bob')).status).toBe(200);
+		expect((await generate('bob', 'gemini-1.5-pro')).status).toBe(403);
+		const openai = await callWorker('/v1/chat/completions', {
+			headers: { Authorization: 'Bearer bob' },
+			json: { model: 'gemini-1.5-pro', messages: [{ role: 'user', content: 'hi' }] },
+		}, VARS);
+		expect(openai.status).toBe(403);
+		const anthropic = await callWorker('/v1/messages', {
+			headers: { 'x-api-key': 'bob' },
+			json: { model: 'gemini-1.5-pro', max_tokens: 10, messages: [{ role: 'user', content: 'hi' }] },
+		}, VARS);
+		expect(anthropic.status).toBe(403);
+		expect(requests).toHaveLength(1);
+	});
+
+	it.each([
+		['a percent-encoded method separator', '/v1beta/models/gemini-1.5-pro%3AgenerateContent'],
+		['a tuned model', '/v1beta/tunedModels/my-tuned-model:generateContent'],
+		['cached contents', '/v1beta/cachedContents'],
+	])('rejects %s for a token with an allowlist', async (_, path) => {
+		const requests = mockUpstream(complete);
+		const response = await callWorker(`${path}?key=bob`, { json: geminiRequest() }, VARS);
+
+		expect(response.status).toBe(403);
+		expect(requests).toHaveLength(0);
+	});
+
+	it('rejects passthrough requests for a token with an allowlist but not for other tokens', async () => {
+		const requests = mockUpstream(() => Response.json({ models: [] }));
+
+		expect((await callWorker('/v1beta/models?key=bob', { method: 'GET' }, VARS)).status).toBe(403);
+		expect((await callWorker('/v1beta/models/gemini-2.5-pro?key=bob', { method: 'GET' }, VARS)).status).toBe(403);
+		expect((await callWorker('/v1beta/models?key=alice', { method: 'GET' }, VARS)).status).toBe(200);
+		expect(requests).toHaveLength(1);
+	});
+
+	it('still serves an allowed model when its method separator is percent-encoded', async () => {
+		const requests = mockUpstream(complete);
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro%3AgenerateContent?key=bob', { json: geminiRequest() }, VARS);
+
+		expect(response.status).toBe(200);
+		expect(requests).toHaveLength(1);
+	});
+});
+
+describe('CORS policy', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('echoes an allowed origin and overrides the upstream wildcard', async () => {
+		mockUpstream(complete);
+		const response = await generate('alice', 'gemini-2.5-pro', { Origin: 'https://app.example.com' });
+
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://app.example.com');
+		expect(response.headers.get('Vary')).toContain('Origin');
+	});
+
+	it('omits the allow-origin header for other origins', async () => {
+		mockUpstream(complete);
+		const response = await generate('alice', 'gemini-2.5-pro', { Origin: 'https://evil.example.com' });
+
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+	});
+
+	it('answers preflight requests with the configured methods and headers', async () => {
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', {
+			method: 'OPTIONS',
+			headers: { Origin: 'https://app.example.com' },
+		}, VARS);
+
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('https://app.example.com');
+		expect(response.headers.get('Access-Control-Allow-Methods')).toBe('POST, OPTIONS');
+		expect(response.headers.get('Access-Control-Allow-Headers')).toBe('Content-Type, X-Goog-Api-Key');
+	});
+
+	it('allows every origin by default, also on errors', async () => {
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: { Origin: 'https://any.example.com' }, json: geminiRequest() });
+
+		expect(response.status).toBe(403);
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+	});
+});
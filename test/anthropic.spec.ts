@@ -0,0 +1,105 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { anthropicToGeminiRequest } from '../src/anthropic.js';
+import { mockUpstream, geminiJson, sseResponse, partsToPayloads, callWorker } from './helpers';
+
+const PATH = '/v1/messages';
+const HEADERS = { 'x-api-key': 'k' };
+const MESSAGES = [{ role: 'user', content: 'hi' }];
+// 预置的思维链引导词之后模型先输出思考，再输出 BEGIN_TOKEN 与正文
+const PARTS = [{ text: ' plan for the answer.\n' }, { text: '[RESPONSE_BEGIN]\nHello there, this answer is long enough to stream.[RESPONSE_FINISHED]' }];
+
+/** Parses the `event:` / `data:` pairs of an Anthropic SSE body. */
+function parseEvents(text: string) {
+	return text
+		.split('\n\n')
+		.filter(block => block.startsWith('event:'))
+		.map(block => JSON.parse(block.slice(block.indexOf('data:') + 5)));
+}
+
+describe('Anthropic request conversion', () => {
+	it('maps system, content blocks, tools and thinking to a Gemini request', () => {
+		const body: any = anthropicToGeminiRequest({
+			model: 'gemini-2.5-pro',
+			system: [{ type: 'text', text: 'Be brief.' }],
+			max_tokens: 512,
+			thinking: { type: 'enabled', budget_tokens: 2048 },
+			tools: [{ name: 'weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } }],
+			messages: [
+				{ role: 'user', content: 'Weather?' },
+				{
+					role: 'assistant',
+					content: [
+						{ type: 'thinking', thinking: 'Use the tool.', signature: 'sig' },
+						{ type: 'tool_use', id: 'toolu_1', name: 'weather', input: { city: 'Paris' } },
+					],
+				},
+				{ role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '{"temp":21}' }] },
+			],
+		});
+
+		expect(body.systemInstruction).toEqual({ parts: [{ text: 'Be brief.' }] });
+		expect(body.contents).toEqual([
+			{ role: 'user', parts: [{ text: 'Weather?' }] },
+			{ role: 'model', parts: [{ functionCall: { name: 'weather', args: { city: 'Paris' } } }] },
+			{ role: 'user', parts: [{ functionResponse: { name: 'weather', response: { temp: 21 } } }] },
+		]);
+		expect(body.tools[0].functionDeclarations[0].name).toBe('weather');
+		expect(body.generationConfig).toEqual({ maxOutputTokens: 512, thinkingConfig: { thinkingBudget: 2048, includeThoughts: true } });
+	});
+});
+
+describe('Anthropic messages', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('returns a message with a signed thinking block that does not contain the prefill', async () => {
+		mockUpstream(() => Response.json(geminiJson([{ parts: PARTS, finishReason: 'STOP' }], { usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 7 } })));
+		const response = await callWorker(PATH, { headers: HEADERS, json: { model: 'gemini-2.5-pro', max_tokens: 100, messages: MESSAGES } });
+		const message = await response.json<any>();
+
+		expect(response.status).toBe(200);
+		expect(message.type).toBe('message');
+		expect(message.content).toHaveLength(2);
+		expect(message.content[0]).toMatchObject({ type: 'thinking', thinking: ' plan for the answer.\n' });
+		expect(message.content[0].signature).not.toBe('');
+		expect(message.content[1]).toEqual({ type: 'text', text: 'Hello there, this answer is long enough to stream.' });
+		expect(message.stop_reason).toBe('end_turn');
+		expect(message.usage).toMatchObject({ input_tokens: 5, output_tokens: 7 });
+	});
+
+	it('streams message events with a signature_delta before the thinking block closes', async () => {
+		mockUpstream(() => sseResponse(partsToPayloads(PARTS, { finishReason: 'STOP' })));
+		const response = await callWorker(PATH, { headers: HEADERS, json: { model: 'gemini-2.5-pro', max_tokens: 100, stream: true, messages: MESSAGES } });
+		const events = parseEvents(await response.text()).filter(event => event.type !== 'ping');
+		const deltas = events.filter(event => event.type === 'content_block_delta').map(event => event.delta);
+		const thinkingStop = events.findIndex(event => event.type === 'content_block_stop' && event.index === 0);
+
+		expect(events[0].type).toBe('message_start');
+		expect(deltas.filter(delta => delta.type === 'thinking_delta').map(delta => delta.thinking).join('')).toBe(' plan for the answer.\n');
+		expect(deltas.filter(delta => delta.type === 'text_delta').map(delta => delta.text).join('')).toBe('Hello there, this answer is long enough to stream.');
+		expect(events[thinkingStop - 1].delta.type).toBe('signature_delta');
+		expect(events[thinkingStop - 1].delta.signature).not.toBe('');
+		expect(events[events.length - 2]).toMatchObject({ type: 'message_delta', delta: { stop_reason: 'end_turn' } });
+		expect(events[events.length - 1].type).toBe('message_stop');
+	});
+
+	it.each([
+		['a missing model', { messages: MESSAGES }],
+		['a non-string model', { model: ['gemini-2.5-pro'], messages: MESSAGES }],
+		['missing messages', { model: 'gemini-2.5-pro' }],
+	])('rejects %s with an invalid_request_error', async (_, json) => {
+		const requests = mockUpstream(() => new Response(null, { status: 500 }));
+		const response = await callWorker(PATH, { headers: HEADERS, json });
+
+		expect(response.status).toBe(400);
+		expect(await response.json<any>()).toMatchObject({ type: 'error', error: { type: 'invalid_request_error' } });
+		expect(requests).toHaveLength(0);
+	});
+
+	it('maps upstream errors to Anthropic error types', async () => {
+		mockUpstream(() => Response.json({ error: { code: 404, message: 'No such model' } }, { status: 404 }));
+		const response = await callWorker(PATH, { headers: HEADERS, json: { model: 'gemini-2.5-pro', max_tokens: 100, messages: MESSAGES } });
+
+		expect(response.status).toBe(404);
+		expect((await response.json<any>()).error.type).toBe('not_found_error');
+	});
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, sseResponse, callWorker, parseSSE, formalText, streamedText, geminiRequest } from './helpers';
+
+const REQUEST = geminiRequest({ generationConfig: { candidateCount: 2, thinkingConfig: { thinkingBudget: 0 } } });
+
+/** The first attempt finishes candidate 0 and truncates candidate 1; continuations finish whatever they are asked for. */
+function firstAttempt() {
+	return [
+		{ parts: [{ text: 'Candidate zero is complete.[RESPONSE_FINISHED]' }], finishReason: 'STOP' },
+		{ parts: [{ text: 'Candidate one was cut ' }], finishReason: 'STOP' },
+	];
+}
+
+describe('candidateCount > 1', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('continues only the truncated candidate and reassembles candidates in index order (non-streaming)', async () => {
+		const requests = mockUpstream((_, call) =>
+			Response.json(call === 1 ? geminiJson(firstAttempt()) : geminiJson([{ parts: [{ text: 'off and resumed.[RESPONSE_FINISHED]' }], finishReason: 'STOP' }])),
+		);
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: { 'X-Goog-Api-Key': 'k' }, json: REQUEST });
+		const json = await response.json<any>();
+
+		expect(json.candidates.map((candidate: any) => candidate.index)).toEqual([0, 1]);
+		expect(formalText(json.candidates[0].content.parts)).toBe('Candidate zero is complete.');
+		expect(formalText(json.candidates[1].content.parts)).toBe('Candidate one was cut off and resumed.');
+
+		expect(requests).toHaveLength(2);
+		const retryBody = await requests[1].json<any>();
+		expect(retryBody.generationConfig.candidateCount).toBe(1);
+		expect(retryBody.contents.at(-1).parts[0].text).toBe('Candidate one was cut ');
+	});
+
+	it('continues only the truncated candidate (streaming)', async () => {
+		const requests = mockUpstream((_, call) => {
+			if (call > 1) {
+				return sseResponse([{ candidates: [{ index: 0, content: { role: 'model', parts: [{ text: 'Candidate one resumed.[RESPONSE_FINISHED]' }] }, finishReason: 'STOP' }] }]);
+			}
+			return sseResponse(firstAttempt().map((candidate, index) => ({ candidates: [{ index, content: { role: 'model', parts: candidate.parts }, finishReason: 'STOP' }] })));
+		});
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse', { headers: { 'X-Goog-Api-Key': 'k' }, json: REQUEST });
+		const payloads = parseSSE(await response.text());
+
+		expect(streamedText(payloads, 0)).toBe('Candidate zero is complete.');
+		expect(streamedText(payloads, 1)).toBe('Candidate one resumed.');
+		expect(requests).toHaveLength(2);
+		expect((await requests[1].json<any>()).generationConfig.candidateCount).toBe(1);
+	});
+});
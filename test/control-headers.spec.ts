@@ -0,0 +1,113 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, sseResponse, partsToPayloads, callWorker, geminiRequest } from './helpers';
+
+const PATH = '/v1beta/models/gemini-2.5-pro:generateContent';
+const CONTROL = {
+	'X-Anti-Truncation': 'on',
+	'X-Anti-Truncation-Max-Retries': '1',
+	'X-Anti-Truncation-Start-Of-Thought': 'Let me see',
+	'X-Anti-Truncation-Inject-Begin': 'true',
+};
+const COMPLETE = () => Response.json(geminiJson([{ parts: [{ text: 'Done.[RESPONSE_FINISHED]' }], finishReason: 'STOP' }]));
+// 永远不带结束标记，每次都会触发续写直到重试次数用完
+const TRUNCATED = () => Response.json(geminiJson([{ parts: [{ text: 'Still going, ' }], finishReason: 'STOP' }]));
+
+/** Asserts that none of the anti-truncation control headers reached the upstream. */
+function expectStripped(request: Request) {
+	for (const name of Object.keys(CONTROL)) {
+		expect(request.headers.has(name)).toBe(false);
+	}
+}
+
+/** The model-role prefill appended by the worker, i.e. the START_OF_THOUGHT in effect. */
+async function prefillOf(request: Request) {
+	const { contents } = await request.json<any>();
+	const last = contents[contents.length - 1];
+	return last.role === 'model' ? last.parts[0].text : undefined;
+}
+
+describe('control headers', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('strips the control headers from non-streaming, streaming and passthrough requests', async () => {
+		const headers = { 'X-Goog-Api-Key': 'k', ...CONTROL };
+		const nonStreaming = mockUpstream(COMPLETE);
+		await callWorker(PATH, { headers, json: geminiRequest() });
+		expectStripped(nonStreaming[0]);
+		vi.restoreAllMocks();
+
+		const streaming = mockUpstream(() => sseResponse(partsToPayloads([{ text: 'Done.[RESPONSE_FINISHED]' }], { finishReason: 'STOP' })));
+		await callWorker('/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse', { headers, json: geminiRequest() });
+		expectStripped(streaming[0]);
+		vi.restoreAllMocks();
+
+		const passthrough = mockUpstream(() => Response.json({ models: [] }));
+		await callWorker('/v1beta/models', { method: 'GET', headers });
+		expect(passthrough).toHaveLength(1);
+		expectStripped(passthrough[0]);
+	});
+
+	it('clamps the retry override to MAX_RETRIES_CEILING', async () => {
+		const requests = mockUpstream(TRUNCATED);
+		await callWorker(
+			PATH,
+			{ headers: { 'X-Goog-Api-Key': 'k', 'X-Anti-Truncation-Max-Retries': '50' }, json: geminiRequest() },
+			{ MAX_RETRIES: '5', MAX_RETRIES_CEILING: '2' },
+		);
+
+		expect(requests).toHaveLength(3);
+	});
+
+	it('truncates the START_OF_THOUGHT override to START_OF_THOUGHT_MAX_LENGTH', async () => {
+		const requests = mockUpstream(COMPLETE);
+		await callWorker(
+			PATH,
+			{ headers: { 'X-Goog-Api-Key': 'k', 'X-Anti-Truncation-Start-Of-Thought': 'Thinking it through carefully' }, json: geminiRequest() },
+			{ START_OF_THOUGHT_MAX_LENGTH: '8' },
+		);
+
+		expect(await prefillOf(requests[0])).toBe('Thinking');
+	});
+
+	it('ignores invalid values and keeps the configured behaviour', async () => {
+		const requests = mockUpstream(TRUNCATED);
+		await callWorker(
+			PATH,
+			{
+				headers: {
+					'X-Goog-Api-Key': 'k',
+					'X-Anti-Truncation': 'maybe',
+					'X-Anti-Truncation-Max-Retries': '-3',
+					'X-Anti-Truncation-Inject-Begin': 'yes',
+				},
+				json: geminiRequest(),
+			},
+			{ MAX_RETRIES: '1' },
+		);
+
+		expect(requests).toHaveLength(2);
+		expect(await prefillOf(requests[0])).toBe("Here's a");
+	});
+
+	it('switches anti-truncation off for one request', async () => {
+		const requests = mockUpstream(TRUNCATED);
+		await callWorker(PATH, { headers: { 'X-Goog-Api-Key': 'k', 'X-Anti-Truncation': 'off' }, json: geminiRequest() });
+
+		expect(requests).toHaveLength(1);
+		expect(await prefillOf(requests[0])).toBeUndefined();
+		expectStripped(requests[0]);
+	});
+
+	it('ignores but still strips the control headers when ALLOW_CONTROL_HEADERS is false', async () => {
+		const requests = mockUpstream(TRUNCATED);
+		await callWorker(
+			PATH,
+			{ headers: { 'X-Goog-Api-Key': 'k', ...CONTROL, 'X-Anti-Truncation': 'off' }, json: geminiRequest() },
+			{ ALLOW_CONTROL_HEADERS: 'false', MAX_RETRIES: '2' },
+		);
+
+		expect(requests).toHaveLength(3);
+		expect(await prefillOf(requests[0])).toBe("Here's a");
+		expectStripped(requests[0]);
+	});
+});
@@ -0,0 +1,66 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import worker from '../src';
+import { mockUpstream, geminiJson, geminiRequest } from './helpers';
+
+const REQUEST = geminiRequest({ generationConfig: { thinkingConfig: { thinkingBudget: 0 } } });
+
+/** Sends a request whose signal the test aborts, as the runtime does when the client goes away. */
+async function callWithAbort(path: string, controller: AbortController) {
+	const ctx = createExecutionContext();
+	const request = new Request(`http://worker.test${path}`, {
+		method: 'POST',
+		headers: { 'X-Goog-Api-Key': 'k' },
+		body: JSON.stringify(REQUEST),
+		signal: controller.signal,
+	});
+	const response = await worker.fetch(request, env, ctx);
+	const text = await response.text().catch(() => '');
+	await waitOnExecutionContext(ctx);
+	return { response, text };
+}
+
+describe('client disconnect', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('stops retrying a non-streaming request once the client is gone', async () => {
+		const controller = new AbortController();
+		const requests = mockUpstream(() => {
+			controller.abort();
+			return Response.json(geminiJson([{ parts: [{ text: 'Truncated ' }], finishReason: 'STOP' }]));
+		});
+		const { response } = await callWithAbort('/v1beta/models/gemini-2.5-pro:generateContent', controller);
+
+		expect(response.status).toBe(499);
+		expect(requests).toHaveLength(1);
+	});
+
+	it('cancels the upstream stream and makes no further attempts', async () => {
+		const controller = new AbortController();
+		let cancelled = false;
+		const requests = mockUpstream(() => {
+			const chunk = new TextEncoder().encode(`data: ${JSON.stringify(geminiJson([{ parts: [{ text: 'Some text ' }] }]))}\n\n`);
+			let sent = false;
+			return new Response(
+				new ReadableStream({
+					pull(controllerOfStream) {
+						if (!sent) {
+							sent = true;
+							controllerOfStream.enqueue(chunk);
+							return;
+						}
+						controller.abort();
+						return new Promise(() => {});
+					},
+					cancel() {
+						cancelled = true;
+					},
+				}),
+			);
+		});
+		await callWithAbort('/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse', controller);
+
+		expect(cancelled).toBe(true);
+		expect(requests).toHaveLength(1);
+	});
+});
@@ -1,3 +1,5 @@
 declare module 'cloudflare:test' {
-	interface ProvidedEnv extends Env {}
+	interface ProvidedEnv extends Env {
+		METRICS: DurableObjectNamespace;
+	}
 }
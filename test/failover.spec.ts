@@ -0,0 +1,98 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, callWorker, formalText, geminiRequest } from './helpers';
+
+const REQUEST = geminiRequest({ generationConfig: { thinkingConfig: { thinkingBudget: 0 } } });
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+const COMPLETE = geminiJson([{ parts: [{ text: 'Served.[RESPONSE_FINISHED]' }], finishReason: 'STOP' }]);
+
+/** Base health is kept per isolate, so every test uses its own hosts. */
+function bases(...urls: string[]) {
+	return { UPSTREAM_URL_BASE: urls.join(','), UPSTREAM_FAILURE_THRESHOLD: '1', UPSTREAM_UNHEALTHY_MS: '60000' };
+}
+
+/** The base each upstream request was sent to. */
+function basesUsed(requests: Request[]) {
+	return requests.map(request => request.url.split('/v1beta')[0]);
+}
+
+describe('upstream base failover', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('moves to the next base after a 5xx and keeps skipping the unhealthy one', async () => {
+		const vars = bases('https://primary-5xx.test', 'https://backup-5xx.test');
+		const requests = mockUpstream(request =>
+			request.url.startsWith('https://primary-5xx.test') ? new Response('overloaded', { status: 503 }) : Response.json(COMPLETE),
+		);
+
+		const first = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST }, vars);
+		expect(formalText((await first.json<any>()).candidates[0].content.parts)).toBe('Served.');
+		const second = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST }, vars);
+		expect(second.status).toBe(200);
+
+		expect(basesUsed(requests)).toEqual(['https://primary-5xx.test', 'https://backup-5xx.test', 'https://backup-5xx.test']);
+	});
+
+	it('retries a 500 on the next base instead of ending the request', async () => {
+		const vars = bases('https://primary-500.test', 'https://backup-500.test');
+		const requests = mockUpstream(request =>
+			request.url.startsWith('https://primary-500.test') ? new Response('internal', { status: 500 }) : Response.json(COMPLETE),
+		);
+
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST }, vars);
+
+		expect(response.status).toBe(200);
+		expect(formalText((await response.json<any>()).candidates[0].content.parts)).toBe('Served.');
+		expect(basesUsed(requests)).toEqual(['https://primary-500.test', 'https://backup-500.test']);
+	});
+
+	it('still ends the request on a 500 when only one base is configured', async () => {
+		const requests = mockUpstream(() => new Response('internal', { status: 500 }));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST });
+
+		expect(response.status).toBe(500);
+		expect(requests).toHaveLength(1);
+	});
+
+	it('marks only the base that failed when one base URL is a prefix of another', async () => {
+		const vars = bases('https://shared.test/gemini', 'https://shared.test/gemini-backup');
+		let failures = 0;
+		const requests = mockUpstream(request => {
+			if (request.url.startsWith('https://shared.test/gemini/') && failures++ === 0) {
+				throw new TypeError('Network connection lost.');
+			}
+			return Response.json(COMPLETE);
+		});
+
+		await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST }, vars);
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST }, vars);
+
+		expect(response.status).toBe(200);
+		expect(basesUsed(requests)).toEqual(['https://shared.test/gemini', 'https://shared.test/gemini-backup', 'https://shared.test/gemini-backup']);
+	});
+
+	it('counts a body that fails mid-stream against its base', async () => {
+		const vars = { ...bases('https://broken-body.test', 'https://steady-body.test'), NON_STREAMING_UPSTREAM: 'stream' };
+		const requests = mockUpstream(request => {
+			if (request.url.startsWith('https://broken-body.test')) {
+				const chunk = new TextEncoder().encode(`data: ${JSON.stringify(geminiJson([{ parts: [{ text: 'Partial ' }] }]))}\n\n`);
+				let sent = false;
+				return new Response(
+					new ReadableStream({
+						pull(controller) {
+							if (sent) controller.error(new Error('connection reset'));
+							else controller.enqueue(chunk);
+							sent = true;
+						},
+					}),
+				);
+			}
+			const done = `data: ${JSON.stringify(geminiJson([{ parts: [{ text: 'answer.[RESPONSE_FINISHED]' }], finishReason: 'STOP' }]))}\n\n`;
+			return new Response(done);
+		});
+
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST }, vars);
+
+		expect(formalText((await response.json<any>()).candidates[0].content.parts)).toBe('Partial answer.');
+		expect(basesUsed(requests)).toEqual(['https://broken-body.test', 'https://steady-body.test']);
+	});
+});
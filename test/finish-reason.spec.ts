@@ -0,0 +1,146 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, sseResponse, partsToPayloads, callWorker, parseSSE, formalText, streamedText, geminiRequest } from './helpers';
+
+const REQUEST = geminiRequest({ generationConfig: { thinkingConfig: { thinkingBudget: 0 } } });
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+const GENERATE = '/v1beta/models/gemini-2.5-pro:generateContent';
+const STREAM = '/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse';
+
+function candidate(text: string, finishReason: string) {
+	return geminiJson([{ parts: [{ text }], finishReason }]);
+}
+
+/** Sends the same payload as JSON or as a single SSE event, depending on the upstream method. */
+function reply(request: Request, payload: Record<string, any>) {
+	return request.url.includes(':streamGenerateContent') ? sseResponse([payload]) : Response.json(payload);
+}
+
+/** Reads the final candidate from either response shape. */
+async function finalCandidate(response: Response, path: string) {
+	if (path === GENERATE) {
+		return (await response.json<any>()).candidates[0];
+	}
+	const payloads = parseSSE(await response.text());
+	return { ...payloads[payloads.length - 1].candidates[0], text: streamedText(payloads) };
+}
+
+describe.each([
+	['non-streaming', GENERATE],
+	['streaming', STREAM],
+])('finish reason actions (%s)', (_, path) => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('fails on SAFETY without retrying or returning the blocked text', async () => {
+		const requests = mockUpstream(request => reply(request, candidate('Some blocked text ', 'SAFETY')));
+		const response = await callWorker(path, { headers: HEADERS, json: REQUEST });
+		const result = await finalCandidate(response, path);
+
+		expect(requests).toHaveLength(1);
+		expect(result.finishReason).toBe('SAFETY');
+		expect(JSON.stringify(result)).not.toContain('Some blocked text');
+	});
+
+	it('fails on a prompt blockReason and keeps the promptFeedback', async () => {
+		const requests = mockUpstream(request => reply(request, { promptFeedback: { blockReason: 'PROHIBITED_CONTENT' } }));
+		const response = await callWorker(path, { headers: HEADERS, json: REQUEST });
+		const text = await response.text();
+
+		expect(requests).toHaveLength(1);
+		expect(text).toContain('"blockReason":"PROHIBITED_CONTENT"');
+	});
+
+	it('retries RECITATION from the last checkpoint and discards the recited text', async () => {
+		const requests = mockUpstream((request, call) =>
+			reply(request, call === 1 ? candidate('copied ', 'RECITATION') : candidate('Original.[RESPONSE_FINISHED]', 'STOP')),
+		);
+		const response = await callWorker(path, { headers: HEADERS, json: REQUEST });
+		const result = await finalCandidate(response, path);
+
+		expect(requests).toHaveLength(2);
+		expect(result.text ?? formalText(result.content.parts)).toBe('Original.');
+		expect((await requests[1].json<any>()).contents.at(-1).role).toBe('user');
+	});
+
+	it('returns partial output for reasons configured as partial', async () => {
+		const requests = mockUpstream(request => reply(request, candidate('Cut short', 'MAX_TOKENS')));
+		const response = await callWorker(path, { headers: HEADERS, json: REQUEST }, { FINISH_REASON_ACTIONS: 'MAX_TOKENS=partial' });
+		const result = await finalCandidate(response, path);
+
+		expect(requests).toHaveLength(1);
+		expect(result.finishReason).toBe('MAX_TOKENS');
+		expect(result.text ?? formalText(result.content.parts)).toBe('Cut short');
+	});
+});
+
+describe('finish reason actions after text was streamed', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('continues instead of retrying once the client has received text', async () => {
+		// Only text beyond the lookahead buffer reaches the client before the finish reason arrives
+		const forwarded = 'x'.repeat(80);
+		const requests = mockUpstream((_, call) =>
+			call === 1
+				? sseResponse(partsToPayloads([{ text: forwarded }, { text: 'y'.repeat(40) }, { text: ' tail' }], { finishReason: 'RECITATION' }))
+				: sseResponse([candidate(' rest.[RESPONSE_FINISHED]', 'STOP')]),
+		);
+		const response = await callWorker(STREAM, { headers: HEADERS, json: REQUEST });
+		const text = streamedText(parseSSE(await response.text()));
+
+		expect(requests).toHaveLength(2);
+		expect(text.startsWith(forwarded)).toBe(true);
+		expect(text.endsWith(' rest.')).toBe(true);
+		const continuation = (await requests[1].json<any>()).contents.at(-1);
+		expect(continuation.role).toBe('model');
+		expect(continuation.parts[0].text.startsWith(forwarded)).toBe(true);
+	});
+});
+
+describe('finish reason actions for structured output', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('fails on SAFETY instead of continuing the JSON', async () => {
+		const requests = mockUpstream(() => Response.json(candidate('{"a": "bl', 'SAFETY')));
+		const response = await callWorker(GENERATE, {
+			headers: HEADERS,
+			json: geminiRequest({ generationConfig: { responseMimeType: 'application/json', responseSchema: { type: 'OBJECT', properties: { a: { type: 'STRING' } } } } }),
+		});
+		const result = (await response.json<any>()).candidates[0];
+
+		expect(requests).toHaveLength(1);
+		expect(result.finishReason).toBe('SAFETY');
+		expect(result.content.parts).toEqual([]);
+	});
+});
+
+describe('FINISH_REASON_ACTIONS parsing', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	/** The `config_invalid` events logged while handling two requests with the given value. */
+	async function configErrors(value: string) {
+		const error = vi.spyOn(console, 'error');
+		mockUpstream(() => Response.json(candidate('Done.[RESPONSE_FINISHED]', 'STOP')));
+		const vars = { LOG_LEVEL: 'error', FINISH_REASON_ACTIONS: value };
+		await callWorker(GENERATE, { headers: HEADERS, json: REQUEST }, vars);
+		await callWorker(GENERATE, { headers: HEADERS, json: REQUEST }, vars);
+		return error.mock.calls.map(([entry]) => JSON.parse(entry)).filter(entry => entry.event === 'config_invalid');
+	}
+
+	it('reports invalid JSON once per isolate through the structured log', async () => {
+		const events = await configErrors('{"SAFETY": partial');
+
+		expect(events).toHaveLength(1);
+		expect(events[0]).toMatchObject({ level: 'error', variable: 'FINISH_REASON_ACTIONS' });
+	});
+
+	it('reports entries with an unknown action and keeps the default for them', async () => {
+		const requests = mockUpstream(() => Response.json(candidate('blocked', 'SAFETY')));
+		const response = await callWorker(GENERATE, { headers: HEADERS, json: REQUEST }, { FINISH_REASON_ACTIONS: 'SAFETY=explode' });
+		expect((await response.json<any>()).candidates[0].finishReason).toBe('SAFETY');
+		expect(requests).toHaveLength(1);
+		vi.restoreAllMocks();
+
+		// 同一个错误在每个实例中只记录一次，这里换用新的值
+		const events = await configErrors('BLOCKLIST=boom,RECITATION=nope');
+		expect(events.map(event => event.message)).toEqual([expect.stringContaining('BLOCKLIST=boom'), expect.stringContaining('RECITATION=nope')]);
+	});
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, sseResponse, partsToPayloads, callWorker, parseSSE, geminiRequest } from './helpers';
+
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+const PARTS = [
+	{ text: 't\n' },
+	{ text: '[RESPONSE_BEGIN]\nChecking both cities.' },
+	{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } },
+	{ functionCall: { name: 'get_weather', args: { city: 'Tokyo' } } },
+	{ text: '[RESPONSE_FINISHED]' },
+];
+
+/** Drops thoughts and keeps text and function calls in order. */
+function visibleParts(parts: any[]) {
+	return parts.filter(part => !part.thought && (part.functionCall || part.text));
+}
+
+describe('function calls', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('keeps every parallel function call and cleans the text around them (non-streaming)', async () => {
+		const requests = mockUpstream(() => Response.json(geminiJson([{ parts: PARTS, finishReason: 'STOP' }])));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: geminiRequest() });
+		const parts = visibleParts((await response.json<any>()).candidates[0].content.parts);
+
+		expect(requests).toHaveLength(1);
+		expect(parts).toEqual([{ text: 'Checking both cities.' }, PARTS[2], PARTS[3]]);
+	});
+
+	it('keeps every parallel function call and cleans the text around them (streaming)', async () => {
+		const requests = mockUpstream(() => sseResponse(partsToPayloads(PARTS, { finishReason: 'STOP' })));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse', { headers: HEADERS, json: geminiRequest() });
+		const parts = visibleParts(parseSSE(await response.text()).flatMap(payload => payload.candidates[0].content.parts));
+		const text = parts.filter(part => part.text).map(part => part.text).join('');
+
+		expect(requests).toHaveLength(1);
+		expect(parts.filter(part => part.functionCall)).toEqual([PARTS[2], PARTS[3]]);
+		expect(text).toBe('Checking both cities.');
+	});
+});
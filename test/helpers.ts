@@ -0,0 +1,95 @@
+import { env, createExecutionContext, waitOnExecutionContext } from 'cloudflare:test';
+import { vi } from 'vitest';
+import worker from '../src';
+
+type Json = Record<string, any>;
+
+/**
+ * Replaces the global fetch with a mocked upstream.
+ * The handler receives each outgoing request and its 1-based call number; the returned array records every request.
+ */
+export function mockUpstream(handler: (request: Request, call: number) => Response | Promise<Response>): Request[] {
+	const requests: Request[] = [];
+	vi.spyOn(globalThis, 'fetch').mockImplementation(async (input, init) => {
+		const request = new Request(input, init);
+		requests.push(request.clone());
+		return handler(request, requests.length);
+	});
+	return requests;
+}
+
+/** Builds a `generateContent` response body with one candidate per entry. */
+export function geminiJson(candidates: Json[], extra: Json = {}): Json {
+	return {
+		candidates: candidates.map(({ parts, ...candidate }, index) => ({ index, ...candidate, content: { role: 'model', parts } })),
+		...extra,
+	};
+}
+
+/** Builds an SSE `streamGenerateContent` response from data payloads. */
+export function sseResponse(payloads: Json[]): Response {
+	const encoder = new TextEncoder();
+	const chunks = payloads.map(payload => encoder.encode(`data: ${JSON.stringify(payload)}\n\n`));
+	return new Response(
+		new ReadableStream({
+			pull(controller) {
+				const chunk = chunks.shift();
+				if (chunk) controller.enqueue(chunk);
+				else controller.close();
+			},
+		}),
+		{ headers: { 'Content-Type': 'text/event-stream' } },
+	);
+}
+
+/** Splits one candidate into one SSE payload per part; candidate-level fields go on the last payload. */
+export function partsToPayloads(parts: Json[], last: Json = {}, index = 0): Json[] {
+	return parts.map((part, i) => ({
+		candidates: [{ index, content: { role: 'model', parts: [part] }, ...(i === parts.length - 1 ? last : {}) }],
+	}));
+}
+
+/** Sends a request to the worker with extra environment variables and waits for background work. */
+export async function callWorker(path: string, init: RequestInit & { json?: Json } = {}, vars: Record<string, unknown> = {}): Promise<Response> {
+	const { json, ...rest } = init;
+	const request = new Request(`http://worker.test${path}`, {
+		method: 'POST',
+		...rest,
+		body: json ? JSON.stringify(json) : rest.body,
+	});
+	const ctx = createExecutionContext();
+	const response = await worker.fetch(request, { ...env, ...vars } as Env, ctx);
+	const settled = new Response(await response.arrayBuffer(), response);
+	await waitOnExecutionContext(ctx);
+	return settled;
+}
+
+/** Parses the `data:` payloads of an SSE body. */
+export function parseSSE(text: string): Json[] {
+	return text
+		.split(/\r?\n/)
+		.filter(line => line.startsWith('data:'))
+		.map(line => JSON.parse(line.slice(5)));
+}
+
+/** Joins the non-thought text of a candidate's parts. */
+export function formalText(parts: Json[] = []): string {
+	return parts
+		.filter(part => !part.thought && typeof part.text === 'string')
+		.map(part => part.text)
+		.join('');
+}
+
+/** Joins the non-thought text a candidate index received across SSE payloads. */
+export function streamedText(payloads: Json[], index = 0): string {
+	return payloads
+		.flatMap(payload => payload.candidates ?? [])
+		.filter(candidate => (candidate.index ?? 0) === index)
+		.map(candidate => formalText(candidate.content?.parts))
+		.join('');
+}
+
+/** A minimal Gemini request body. */
+export function geminiRequest(extra: Json = {}): Json {
+	return { contents: [{ role: 'user', parts: [{ text: 'hi' }] }], ...extra };
+}
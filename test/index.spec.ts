@@ -1,41 +1,45 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
-import worker from '../src';
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, callWorker, formalText, geminiRequest } from './helpers';
 
-describe('Hello World user worker', () => {
-	describe('request for /message', () => {
-		it('/ responds with "Hello, World!" (unit style)', async () => {
-			const request = new Request<unknown, IncomingRequestCfProperties>('http://example.com/message');
-			// Create an empty context to pass to `worker.fetch()`.
-			const ctx = createExecutionContext();
-			const response = await worker.fetch(request, env, ctx);
-			// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-			await waitOnExecutionContext(ctx);
-			expect(await response.text()).toMatchInlineSnapshot(`"Hello, World!"`);
-		});
+const NO_THINKING = { generationConfig: { thinkingConfig: { thinkingBudget: 0 } } };
 
-		it('responds with "Hello, World!" (integration style)', async () => {
-			const request = new Request('http://example.com/message');
-			const response = await SELF.fetch(request);
-			expect(await response.text()).toMatchInlineSnapshot(`"Hello, World!"`);
-		});
+describe('entry point', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('rejects requests without an API key', async () => {
+		const requests = mockUpstream(() => new Response('unexpected'));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { json: geminiRequest() });
+		expect(response.status).toBe(403);
+		expect(requests).toHaveLength(0);
 	});
 
-	describe('request for /random', () => {
-		it('/ responds with a random UUID (unit style)', async () => {
-			const request = new Request<unknown, IncomingRequestCfProperties>('http://example.com/random');
-			// Create an empty context to pass to `worker.fetch()`.
-			const ctx = createExecutionContext();
-			const response = await worker.fetch(request, env, ctx);
-			// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-			await waitOnExecutionContext(ctx);
-			expect(await response.text()).toMatch(/[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/);
+	it('strips the finish token from a complete response', async () => {
+		const requests = mockUpstream(() => Response.json(geminiJson([{ parts: [{ text: 'All done.[RESPONSE_FINISHED]' }], finishReason: 'STOP' }])));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', {
+			headers: { 'X-Goog-Api-Key': 'client-key' },
+			json: geminiRequest(NO_THINKING),
 		});
+		const json = await response.json<any>();
+		expect(response.status).toBe(200);
+		expect(formalText(json.candidates[0].content.parts)).toBe('All done.');
+		expect(requests).toHaveLength(1);
+		expect(requests[0].headers.get('X-Goog-Api-Key')).toBe('client-key');
+	});
 
-		it('responds with a random UUID (integration style)', async () => {
-			const request = new Request('http://example.com/random');
-			const response = await SELF.fetch(request);
-			expect(await response.text()).toMatch(/[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/);
+	it('continues a truncated response with the accumulated text prefilled', async () => {
+		const requests = mockUpstream((_, call) =>
+			Response.json(
+				geminiJson([{ parts: [{ text: call === 1 ? 'The first half, ' : 'the second half.[RESPONSE_FINISHED]' }], finishReason: 'STOP' }]),
+			),
+		);
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', {
+			headers: { 'X-Goog-Api-Key': 'client-key' },
+			json: geminiRequest(NO_THINKING),
 		});
+		const json = await response.json<any>();
+		expect(formalText(json.candidates[0].content.parts)).toBe('The first half, the second half.');
+		expect(requests).toHaveLength(2);
+		const retryBody = await requests[1].json<any>();
+		expect(retryBody.contents.at(-1)).toEqual({ role: 'model', parts: [{ text: 'The first half, ' }] });
 	});
 });
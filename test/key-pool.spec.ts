@@ -0,0 +1,79 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, callWorker, geminiRequest } from './helpers';
+
+const PATH = '/v1beta/models/gemini-2.5-pro:generateContent';
+const REQUEST = geminiRequest({ generationConfig: { thinkingConfig: { thinkingBudget: 0 } } });
+const COMPLETE = () => Response.json(geminiJson([{ parts: [{ text: 'ok[RESPONSE_FINISHED]' }], finishReason: 'STOP' }]));
+
+// 冷却状态保存在模块作用域中，每个用例使用各自的 key
+function pool(keys: string[], extra: Record<string, string> = {}) {
+	return { UPSTREAM_API_KEYS: keys.join(','), KEY_POOL_ACCESS_KEYS: 'proxy-key', ...extra };
+}
+
+function callAs(clientKey: string, vars: Record<string, string>) {
+	return callWorker(PATH, { headers: { 'X-Goog-Api-Key': clientKey }, json: REQUEST }, vars);
+}
+
+const keysUsed = (requests: Request[]) => requests.map(request => request.headers.get('X-Goog-Api-Key'));
+
+describe('upstream key pool', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('rotates pooled keys between requests', async () => {
+		const requests = mockUpstream(COMPLETE);
+		const vars = pool(['rotate-a', 'rotate-b']);
+		await callAs('proxy-key', vars);
+		await callAs('proxy-key', vars);
+
+		expect(new Set(keysUsed(requests))).toEqual(new Set(['rotate-a', 'rotate-b']));
+	});
+
+	it.each([429, 403])('cools a key down after a %i and retries with another one', async status => {
+		const keys = [`cool-${status}-a`, `cool-${status}-b`];
+		const requests = mockUpstream((_, call) => (call === 1 ? new Response('{}', { status }) : COMPLETE()));
+		const vars = pool(keys);
+		const response = await callAs('proxy-key', vars);
+		const [throttled, replacement] = keysUsed(requests);
+
+		expect(response.status).toBe(200);
+		expect(replacement).not.toBe(throttled);
+
+		await callAs('proxy-key', vars);
+		await callAs('proxy-key', vars);
+		expect(keysUsed(requests).slice(2)).toEqual([replacement, replacement]);
+	});
+
+	it('prefers keys that were not throttled with the least-recently-throttled strategy', async () => {
+		const requests = mockUpstream((_, call) => (call === 1 ? new Response('{}', { status: 429 }) : COMPLETE()));
+		const vars = pool(['lrt-a', 'lrt-b'], { KEY_POOL_STRATEGY: 'least-recently-throttled', KEY_COOLDOWN_MS: '1' });
+		await callAs('proxy-key', vars);
+		// 等冷却结束，两个 key 都可用
+		await new Promise(resolve => setTimeout(resolve, 5));
+		await callAs('proxy-key', vars);
+		await callAs('proxy-key', vars);
+
+		const [throttled, ...rest] = keysUsed(requests);
+		expect(rest).toHaveLength(3);
+		expect(rest.every(key => key !== throttled)).toBe(true);
+	});
+
+	it('keeps the client key for clients outside KEY_POOL_ACCESS_KEYS', async () => {
+		const requests = mockUpstream(COMPLETE);
+		await callAs('someone-else', pool(['gate-a', 'gate-b']));
+
+		expect(keysUsed(requests)).toEqual(['someone-else']);
+	});
+
+	it('keeps the pool closed when KEY_POOL_ACCESS_KEYS is not set', async () => {
+		const error = vi.spyOn(console, 'error');
+		const requests = mockUpstream(COMPLETE);
+		const vars = { UPSTREAM_API_KEYS: 'closed-a,closed-b', LOG_LEVEL: 'error' };
+		await callAs('any-client', vars);
+		await callAs('any-client', vars);
+
+		expect(keysUsed(requests)).toEqual(['any-client', 'any-client']);
+		const events = error.mock.calls.map(([entry]) => JSON.parse(entry)).filter(entry => entry.event === 'config_invalid');
+		expect(events).toHaveLength(1);
+		expect(events[0].variable).toBe('UPSTREAM_API_KEYS');
+	});
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, callWorker, geminiRequest } from './helpers';
+
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+const REQUEST = geminiRequest({ generationConfig: { thinkingConfig: { thinkingBudget: 0 } } });
+
+function mockTruncatedOnce() {
+	return mockUpstream((_, call) =>
+		Response.json(geminiJson([{ parts: [{ text: call === 1 ? 'Half of it, ' : 'the rest.[RESPONSE_FINISHED]' }], finishReason: 'STOP' }])),
+	);
+}
+
+/** Captures the JSON log events written to the console. */
+function captureEvents() {
+	const events: Record<string, any>[] = [];
+	const capture = (line: unknown) => {
+		events.push(JSON.parse(String(line)));
+	};
+	vi.spyOn(console, 'log').mockImplementation(capture);
+	vi.spyOn(console, 'warn').mockImplementation(capture);
+	vi.spyOn(console, 'error').mockImplementation(capture);
+	return events;
+}
+
+describe('request tracing', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('generates a request ID and echoes a well-formed client ID', async () => {
+		mockTruncatedOnce();
+		const generated = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST });
+		expect(generated.headers.get('X-Request-Id')).toMatch(/^[0-9a-f-]{36}$/);
+
+		const echoed = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: { ...HEADERS, 'X-Request-Id': 'trace-42' }, json: REQUEST });
+		expect(echoed.headers.get('X-Request-Id')).toBe('trace-42');
+
+		const replaced = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: { ...HEADERS, 'X-Request-Id': 'bad id with spaces' }, json: REQUEST });
+		expect(replaced.headers.get('X-Request-Id')).not.toBe('bad id with spaces');
+	});
+
+	it('logs the attempt timeline as JSON events tagged with the request ID', async () => {
+		mockTruncatedOnce();
+		const events = captureEvents();
+		await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: { ...HEADERS, 'X-Request-Id': 'timeline-1' }, json: REQUEST }, { LOG_LEVEL: 'info' });
+
+		expect(events.map(event => event.event)).toEqual([
+			'request_start',
+			'routing',
+			'upstream_attempt',
+			'truncation_detected',
+			'continuation',
+			'upstream_attempt',
+			'request_end',
+		]);
+		expect(events.every(event => event.requestId === 'timeline-1')).toBe(true);
+		expect(events[1]).toMatchObject({ model: 'gemini-2.5-pro', antiTruncation: true });
+		expect(events[2]).toMatchObject({ level: 'info', attempt: 1, status: 200 });
+		expect(typeof events[2].latencyMs).toBe('number');
+		expect(events[4]).toMatchObject({ attempt: 2, prefillLength: 'Half of it, '.length });
+		expect(events[6]).toMatchObject({ outcome: 'complete' });
+	});
+
+	it('drops events below LOG_LEVEL', async () => {
+		mockTruncatedOnce();
+		const events = captureEvents();
+		await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST }, { LOG_LEVEL: 'warn' });
+
+		expect(events).toEqual([]);
+	});
+});
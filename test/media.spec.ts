@@ -0,0 +1,57 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, sseResponse, partsToPayloads, callWorker, parseSSE, geminiRequest } from './helpers';
+
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+const image = (n: number) => ({ inlineData: { mimeType: 'image/png', data: `IMG${n}` } });
+const audio = { fileData: { mimeType: 'audio/wav', fileUri: 'gs://bucket/clip.wav' } };
+
+/** The first attempt is truncated after two images; the continuation adds a third image and an audio file. */
+function attemptParts(call: number) {
+	return call === 1
+		? [{ text: 't\n' }, { text: '[RESPONSE_BEGIN]\nHere is the first picture of a long series:' }, image(1), { text: 'And the second ' }, image(2), { text: 'one, ' }]
+		: [{ text: 'drawn later.' }, image(3), audio, { text: '[RESPONSE_FINISHED]' }];
+}
+
+/** Renders text and media parts in order, skipping thoughts. */
+function sequence(parts: any[]) {
+	return parts
+		.filter(part => !part.thought)
+		.map(part => part.text ?? (part.inlineData ? `<${part.inlineData.data}>` : `<${part.fileData.fileUri}>`))
+		.join('|');
+}
+
+describe('inlineData and fileData output parts', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('keeps media from every attempt in place between the text (non-streaming)', async () => {
+		const requests = mockUpstream((_, call) => Response.json(geminiJson([{ parts: attemptParts(call), finishReason: 'STOP' }])));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: geminiRequest() });
+
+		expect(requests).toHaveLength(2);
+		expect(sequence((await response.json<any>()).candidates[0].content.parts)).toBe(
+			'Here is the first picture of a long series:|<IMG1>|And the second |<IMG2>|one, drawn later.|<IMG3>|<gs://bucket/clip.wav>',
+		);
+	});
+
+	it('sends buffered media before continuing and includes later media (streaming)', async () => {
+		mockUpstream((_, call) => sseResponse(partsToPayloads(attemptParts(call), call === 1 ? {} : { finishReason: 'STOP' })));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse', { headers: HEADERS, json: geminiRequest() });
+		const parts = parseSSE(await response.text()).flatMap(payload => payload.candidates[0].content.parts);
+		const media = parts.filter(part => part.inlineData || part.fileData);
+
+		expect(media.map(part => part.inlineData?.data ?? part.fileData.fileUri)).toEqual(['IMG1', 'IMG2', 'IMG3', 'gs://bucket/clip.wav']);
+		expect(sequence(parts).endsWith('drawn later.|<IMG3>|<gs://bucket/clip.wav>')).toBe(true);
+	});
+
+	it('does not treat a media part as the end of the response', async () => {
+		const requests = mockUpstream((_, call) =>
+			Response.json(geminiJson([{ parts: call === 1 ? [{ text: 'A picture: ' }, image(1)] : [{ text: 'done.[RESPONSE_FINISHED]' }], finishReason: 'STOP' }])),
+		);
+		await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', {
+			headers: HEADERS,
+			json: geminiRequest({ generationConfig: { thinkingConfig: { thinkingBudget: 0 } } }),
+		});
+
+		expect(requests).toHaveLength(2);
+	});
+});
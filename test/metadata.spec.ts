@@ -0,0 +1,86 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, sseResponse, partsToPayloads, callWorker, parseSSE, formalText, geminiRequest } from './helpers';
+
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+const CHUNK_A = { web: { uri: 'https://a.example', title: 'A' } };
+const CHUNK_B = { web: { uri: 'https://b.example', title: 'B' } };
+const encoder = new TextEncoder();
+const bytes = (text: string) => encoder.encode(text).length;
+
+/** Indices in Gemini metadata are UTF-8 byte offsets into the text of one attempt. */
+const FIRST_PREFIX = 't\n[RESPONSE_BEGIN]\n';
+const FIRST_TEXTS = ['t\n', '[RESPONSE_BEGIN]\nAlpha é ', 'beta '];
+const SECOND_TEXTS = ['gamma delta.', '[RESPONSE_FINISHED]'];
+const FIRST_METADATA = {
+	citationMetadata: { citationSources: [{ startIndex: bytes(FIRST_PREFIX), endIndex: bytes(`${FIRST_PREFIX}Alpha`), uri: 'cite-1' }] },
+	groundingMetadata: {
+		webSearchQueries: ['q1'],
+		groundingChunks: [CHUNK_A],
+		groundingSupports: [{ segment: { startIndex: bytes(`${FIRST_PREFIX}Alpha é `), endIndex: bytes(`${FIRST_PREFIX}Alpha é beta`), text: 'beta' }, groundingChunkIndices: [0] }],
+	},
+	safetyRatings: [{ category: 'HARM_CATEGORY_HARASSMENT', probability: 'LOW' }],
+};
+const SECOND_METADATA = {
+	citationMetadata: { citationSources: [{ startIndex: 6, endIndex: 11, uri: 'cite-2' }] },
+	groundingMetadata: {
+		webSearchQueries: ['q1', 'q2'],
+		groundingChunks: [CHUNK_B, CHUNK_A],
+		groundingSupports: [{ segment: { startIndex: 0, endIndex: 5, text: 'gamma' }, groundingChunkIndices: [1, 0] }],
+	},
+	safetyRatings: [{ category: 'HARM_CATEGORY_HARASSMENT', probability: 'NEGLIGIBLE' }],
+	urlContextMetadata: { urlMetadata: [{ retrievedUrl: 'https://c.example' }] },
+};
+
+/** Resolves byte-offset segments against the final text. */
+function slice(text: string, start: number, end: number) {
+	return new TextDecoder().decode(encoder.encode(text).slice(start, end));
+}
+
+describe('metadata across continuations', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('merges metadata and shifts segment indices to the stitched text (non-streaming)', async () => {
+		mockUpstream((_, call) => {
+			const [texts, metadata] = call === 1 ? [FIRST_TEXTS, FIRST_METADATA] : [SECOND_TEXTS, SECOND_METADATA];
+			return Response.json(geminiJson([{ parts: texts.map(text => ({ text })), ...metadata }]));
+		});
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: geminiRequest() });
+		const candidate = (await response.json<any>()).candidates[0];
+		const text = formalText(candidate.content.parts);
+		const { groundingChunks, groundingSupports, webSearchQueries } = candidate.groundingMetadata;
+
+		expect(text).toBe('Alpha é beta gamma delta.');
+		expect(candidate.citationMetadata.citationSources.map((source: any) => [source.uri, slice(text, source.startIndex, source.endIndex)])).toEqual([
+			['cite-1', 'Alpha'],
+			['cite-2', 'delta'],
+		]);
+		expect(groundingChunks).toEqual([CHUNK_A, CHUNK_B]);
+		expect(
+			groundingSupports.map((support: any) => [
+				slice(text, support.segment.startIndex, support.segment.endIndex),
+				support.groundingChunkIndices.map((index: number) => groundingChunks[index].web.uri),
+			]),
+		).toEqual([
+			['beta', ['https://a.example']],
+			['gamma', ['https://a.example', 'https://b.example']],
+		]);
+		expect(webSearchQueries).toEqual(['q1', 'q2']);
+		expect(candidate.safetyRatings).toEqual([{ category: 'HARM_CATEGORY_HARASSMENT', probability: 'LOW' }]);
+		expect(candidate.urlContextMetadata).toEqual(SECOND_METADATA.urlContextMetadata);
+	});
+
+	it('sends the merged metadata with the final streamed candidate', async () => {
+		mockUpstream((_, call) => {
+			const [texts, metadata] = call === 1 ? [FIRST_TEXTS, FIRST_METADATA] : [SECOND_TEXTS, SECOND_METADATA];
+			return sseResponse(partsToPayloads(texts.map(text => ({ text })), metadata));
+		});
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse', { headers: HEADERS, json: geminiRequest() });
+		const payloads = parseSSE(await response.text());
+		const last = payloads[payloads.length - 1].candidates[0];
+
+		expect(last.groundingMetadata.webSearchQueries).toEqual(['q1', 'q2']);
+		expect(last.safetyRatings).toEqual([{ category: 'HARM_CATEGORY_HARASSMENT', probability: 'LOW' }]);
+		expect(last.urlContextMetadata).toEqual(SECOND_METADATA.urlContextMetadata);
+		expect(last.citationMetadata.citationSources.map((source: any) => source.uri)).toContain('cite-2');
+	});
+});
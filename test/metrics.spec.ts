@@ -0,0 +1,72 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { env, runInDurableObject } from 'cloudflare:test';
+import { mockUpstream, geminiJson, callWorker, geminiRequest } from './helpers';
+
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+const VARS = { METRICS_TOKEN: 'metrics-secret' };
+const COMPLETE = () => Response.json(geminiJson([{ parts: [{ text: 'ok[RESPONSE_FINISHED]' }], finishReason: 'STOP' }]));
+
+function generate(model: string, init: { headers?: Record<string, string>; json?: object } = {}) {
+	return callWorker(`/v1beta/models/${model}:generateContent`, { headers: { ...HEADERS, ...init.headers }, json: init.json ?? geminiRequest() }, VARS);
+}
+
+async function scrape(authorization = `Bearer ${VARS.METRICS_TOKEN}`) {
+	return callWorker('/metrics', { method: 'GET', headers: { Authorization: authorization } }, VARS);
+}
+
+/** The value of one `gemini_proxy_requests_total` series, 0 when it does not exist. */
+async function requestsTotal(labels: string) {
+	const text = await (await scrape()).text();
+	const line = text.split('\n').find(line => line.startsWith(`gemini_proxy_requests_total{${labels}}`));
+	return line ? Number(line.split(' ').pop()) : 0;
+}
+
+describe('metrics', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('labels series with the matched model rule and buckets other models as "other"', async () => {
+		mockUpstream(COMPLETE);
+		await generate('gemini-2.5-pro');
+		await generate('gemini-2.5-flash');
+		// 模型名由客户端决定，强制开启时也不会成为新的标签值
+		await generate('made-up-model-7f3a', { headers: { 'X-Anti-Truncation': 'on' } });
+
+		expect(await requestsTotal('model="gemini-2.5-*",stream="false"')).toBe(2);
+		expect(await requestsTotal('model="other",stream="false"')).toBe(1);
+		const text = await (await scrape()).text();
+		expect(text).not.toContain('made-up-model-7f3a');
+	});
+
+	it('stores every series under its own key', async () => {
+		mockUpstream(COMPLETE);
+		await generate('gemini-2.5-pro');
+
+		const stub = env.METRICS.get(env.METRICS.idFromName('global'));
+		const keys = await runInDurableObject(stub, async (_, state) => [...(await state.storage.list()).keys()]);
+		expect(keys).toContain('series:gemini_proxy_requests_total{model="gemini-2.5-*",stream="false"}');
+		expect(keys).toContain('series:gemini_proxy_upstream_responses_total{model="gemini-2.5-*",stream="false",status="200"}');
+		expect(keys).not.toContain('metrics');
+	});
+
+	it('does not count structured output requests that are passed through', async () => {
+		mockUpstream(() => Response.json(geminiJson([{ parts: [{ text: '{}' }], finishReason: 'STOP' }])));
+		const before = await requestsTotal('model="gemini-*-latest",stream="false"');
+		const json = geminiRequest({ generationConfig: { responseMimeType: 'application/json', responseSchema: { type: 'OBJECT' } } });
+		await callWorker('/v1beta/models/gemini-flash-latest:generateContent', { headers: HEADERS, json }, { ...VARS, STRUCTURED_OUTPUT_MODE: 'passthrough' });
+
+		expect(await requestsTotal('model="gemini-*-latest",stream="false"')).toBe(before);
+	});
+
+	it.each([
+		['a wrong token', 'Bearer metrics-secreT'],
+		['a shorter token', 'Bearer metrics'],
+		['no token', ''],
+	])('rejects %s', async (_, authorization) => {
+		expect((await scrape(authorization)).status).toBe(401);
+	});
+
+	it('is disabled without METRICS_TOKEN', async () => {
+		const response = await callWorker('/metrics', { method: 'GET', headers: { Authorization: 'Bearer anything' } });
+		expect(response.status).toBe(404);
+	});
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { parseList, compileModelPatterns } from '../src/utils.js';
+import { mockUpstream, geminiJson, callWorker, geminiRequest } from './helpers';
+
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+const COMPLETE = () => Response.json(geminiJson([{ parts: [{ text: 'ok[RESPONSE_FINISHED]' }], finishReason: 'STOP' }]));
+
+const matches = (patterns: RegExp[], model: string) => patterns.some(pattern => pattern.test(model));
+
+describe('parseList', () => {
+	it('accepts a JSON array or a comma-separated string', () => {
+		expect(parseList('["a", " b ", ""]')).toEqual(['a', 'b']);
+		expect(parseList('a, b,,c')).toEqual(['a', 'b', 'c']);
+		expect(parseList('  ')).toBeNull();
+	});
+
+	it('reports invalid JSON and falls back to the comma-separated form', () => {
+		const errors: object[] = [];
+		expect(parseList('[a, b', errors, 'TARGET_MODELS')).toEqual(['[a', 'b']);
+		expect(errors).toEqual([{ variable: 'TARGET_MODELS', message: expect.stringContaining('Invalid JSON list') }]);
+	});
+});
+
+describe('compileModelPatterns', () => {
+	it('treats plain entries as globs', () => {
+		const patterns = compileModelPatterns(['gemini-2.5-*', 'gemini-?.0-pro']);
+
+		expect(matches(patterns, 'gemini-2.5-flash-lite')).toBe(true);
+		expect(matches(patterns, 'gemini-1.0-pro')).toBe(true);
+		expect(matches(patterns, 'gemini-10.0-pro')).toBe(false);
+		expect(matches(patterns, 'x-gemini-2.5-pro')).toBe(false);
+	});
+
+	it('uses /regex/flags entries as regular expressions', () => {
+		const patterns = compileModelPatterns(['/^GEMINI-EXP-\\d+$/i']);
+
+		expect(matches(patterns, 'gemini-exp-1206')).toBe(true);
+		expect(matches(patterns, 'gemini-exp-latest')).toBe(false);
+	});
+
+	it('drops the stateful g and y flags so repeated tests give the same answer', () => {
+		const [pattern] = compileModelPatterns(['/pro/gyi']);
+
+		expect(pattern.flags).toBe('i');
+		expect([1, 2, 3].map(() => pattern.test('gemini-2.5-pro'))).toEqual([true, true, true]);
+	});
+
+	it('skips and reports invalid patterns', () => {
+		const errors: object[] = [];
+		const patterns = compileModelPatterns(['/(unclosed/', 'gemini-*'], errors, 'INCLUDE_MODELS');
+
+		expect(patterns).toHaveLength(1);
+		expect(errors).toEqual([{ variable: 'INCLUDE_MODELS', message: expect.stringContaining('/(unclosed/') }]);
+	});
+});
+
+describe('model routing rules', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	/** Whether the worker applied the anti-truncation logic, judged by the injected system prompt. */
+	async function isAntiTruncated(model: string, vars: Record<string, string>) {
+		const requests = mockUpstream(COMPLETE);
+		await callWorker(`/v1beta/models/${model}:generateContent`, { headers: HEADERS, json: geminiRequest() }, vars);
+		return 'systemInstruction' in (await requests[0].json<any>());
+	}
+
+	it('applies TARGET_MODELS, INCLUDE_MODELS and EXCLUDE_MODELS', async () => {
+		const vars = { TARGET_MODELS: 'gemini-2.5-*', INCLUDE_MODELS: '/^gemini-exp-\\d+$/g', EXCLUDE_MODELS: 'gemini-2.5-flash-lite*' };
+
+		expect(await isAntiTruncated('gemini-2.5-pro', vars)).toBe(true);
+		expect(await isAntiTruncated('gemini-exp-1206', vars)).toBe(true);
+		expect(await isAntiTruncated('gemini-exp-1206', vars)).toBe(true);
+		expect(await isAntiTruncated('gemini-2.5-flash-lite', vars)).toBe(false);
+		expect(await isAntiTruncated('gemini-1.5-pro', vars)).toBe(false);
+	});
+
+	it('logs an invalid pattern once per isolate instead of on every request', async () => {
+		const error = vi.spyOn(console, 'error');
+		const vars = { LOG_LEVEL: 'error', EXCLUDE_MODELS: '/[once/' };
+		await isAntiTruncated('gemini-2.5-pro', vars);
+		await isAntiTruncated('gemini-2.5-pro', vars);
+
+		const events = error.mock.calls.map(([entry]) => JSON.parse(entry)).filter(entry => entry.event === 'config_invalid');
+		expect(events).toHaveLength(1);
+		expect(events[0]).toMatchObject({ level: 'error', variable: 'EXCLUDE_MODELS' });
+		expect(events[0].message).toContain('/[once/');
+	});
+});
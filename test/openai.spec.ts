@@ -0,0 +1,107 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { openAIToGeminiRequest } from '../src/openai.js';
+import { mockUpstream, geminiJson, sseResponse, partsToPayloads, callWorker, parseSSE } from './helpers';
+
+const PATH = '/v1/chat/completions';
+const HEADERS = { Authorization: 'Bearer k' };
+// 预置的思维链引导词之后模型先输出思考，再输出 BEGIN_TOKEN 与正文
+const PARTS = [{ text: ' plan for the answer.\n' }, { text: '[RESPONSE_BEGIN]\nHello there, this answer is long enough to stream.[RESPONSE_FINISHED]' }];
+
+describe('OpenAI request conversion', () => {
+	it('maps messages, tools and generation settings to a Gemini request', () => {
+		const body: any = openAIToGeminiRequest({
+			model: 'gemini-2.5-pro',
+			messages: [
+				{ role: 'system', content: 'Be brief.' },
+				{ role: 'user', content: [{ type: 'text', text: 'Weather?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] },
+				{ role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'weather', arguments: '{"city":"Paris"}' } }] },
+				{ role: 'tool', tool_call_id: 'call_1', content: '{"temp":21}' },
+			],
+			tools: [{ type: 'function', function: { name: 'weather', parameters: { type: 'object', additionalProperties: false, properties: { city: { type: 'string' } } } } }],
+			tool_choice: 'required',
+			max_tokens: 256,
+			stop: 'END',
+			reasoning_effort: 'low',
+		});
+
+		expect(body.systemInstruction).toEqual({ parts: [{ text: 'Be brief.' }] });
+		expect(body.contents).toEqual([
+			{ role: 'user', parts: [{ text: 'Weather?' }, { inlineData: { mimeType: 'image/png', data: 'AAAA' } }] },
+			{ role: 'model', parts: [{ functionCall: { name: 'weather', args: { city: 'Paris' } } }] },
+			{ role: 'user', parts: [{ functionResponse: { name: 'weather', response: { temp: 21 } } }] },
+		]);
+		expect(body.tools[0].functionDeclarations[0].parameters).toEqual({ type: 'object', properties: { city: { type: 'string' } } });
+		expect(body.toolConfig).toEqual({ functionCallingConfig: { mode: 'ANY' } });
+		expect(body.generationConfig).toEqual({ maxOutputTokens: 256, stopSequences: ['END'], thinkingConfig: { thinkingBudget: 1024 } });
+	});
+});
+
+describe('OpenAI chat completions', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('returns a chat.completion without the START_OF_THOUGHT prefill in the reasoning', async () => {
+		mockUpstream(() =>
+			Response.json(geminiJson([{ parts: PARTS, finishReason: 'STOP' }], { usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 7, thoughtsTokenCount: 3 } })),
+		);
+		const response = await callWorker(PATH, { headers: HEADERS, json: { model: 'gemini-2.5-pro', messages: [{ role: 'user', content: 'hi' }] } });
+		const completion = await response.json<any>();
+
+		expect(response.status).toBe(200);
+		expect(completion.object).toBe('chat.completion');
+		expect(completion.choices[0].message).toEqual({
+			role: 'assistant',
+			content: 'Hello there, this answer is long enough to stream.',
+			reasoning_content: ' plan for the answer.\n',
+		});
+		expect(completion.choices[0].finish_reason).toBe('stop');
+		expect(completion.usage).toMatchObject({ prompt_tokens: 5, completion_tokens: 10, completion_tokens_details: { reasoning_tokens: 3 } });
+	});
+
+	it('streams chat.completion.chunk events and ends with the finish reason and [DONE]', async () => {
+		mockUpstream(() => sseResponse(partsToPayloads(PARTS, { finishReason: 'STOP' })));
+		const response = await callWorker(PATH, {
+			headers: HEADERS,
+			json: { model: 'gemini-2.5-pro', stream: true, messages: [{ role: 'user', content: 'hi' }] },
+		});
+		const text = await response.text();
+		const chunks = parseSSE(text.replace('data: [DONE]', ''));
+		const deltas = chunks.map(chunk => chunk.choices[0]?.delta ?? {});
+
+		expect(chunks.every(chunk => chunk.object === 'chat.completion.chunk')).toBe(true);
+		expect(deltas[0].role).toBe('assistant');
+		expect(deltas.map(delta => delta.reasoning_content ?? '').join('')).toBe(' plan for the answer.\n');
+		expect(deltas.map(delta => delta.content ?? '').join('')).toBe('Hello there, this answer is long enough to stream.');
+		expect(chunks[chunks.length - 1].choices[0].finish_reason).toBe('stop');
+		expect(text.trimEnd().endsWith('data: [DONE]')).toBe(true);
+	});
+
+	it.each([
+		['a missing model', { messages: [] }],
+		['a non-string model', { model: 42, messages: [] }],
+		['missing messages', { model: 'gemini-2.5-pro' }],
+	])('rejects %s with an OpenAI invalid_request_error', async (_, json) => {
+		const requests = mockUpstream(() => new Response(null, { status: 500 }));
+		const response = await callWorker(PATH, { headers: HEADERS, json });
+
+		expect(response.status).toBe(400);
+		expect((await response.json<any>()).error).toMatchObject({ type: 'invalid_request_error', code: 400 });
+		expect(requests).toHaveLength(0);
+	});
+
+	it('rejects a body that is not JSON', async () => {
+		const response = await callWorker(PATH, { headers: HEADERS, body: 'not json' });
+
+		expect(response.status).toBe(400);
+		expect((await response.json<any>()).error.type).toBe('invalid_request_error');
+	});
+
+	it('reports upstream errors in the OpenAI error shape', async () => {
+		mockUpstream(() => Response.json({ error: { code: 400, message: 'Bad things' } }, { status: 400 }));
+		const response = await callWorker(PATH, { headers: HEADERS, json: { model: 'gemini-2.5-pro', messages: [{ role: 'user', content: 'hi' }] } });
+
+		expect(response.status).toBe(400);
+		const { error } = await response.json<any>();
+		expect(error).toMatchObject({ type: 'upstream_error', code: 400 });
+		expect(error.message).toContain('Bad things');
+	});
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, sseResponse, callWorker, parseSSE, formalText, streamedText, geminiRequest } from './helpers';
+
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+
+/** The first attempt is truncated after 60 tokens; the second stops at the remaining budget. */
+function budgetedAttempt(call: number) {
+	return call === 1
+		? geminiJson([{ parts: [{ text: 'The first sixty tokens, ' }], finishReason: 'STOP' }], { usageMetadata: { candidatesTokenCount: 60 } })
+		: geminiJson([{ parts: [{ text: 'and the rest' }], finishReason: 'MAX_TOKENS' }], { usageMetadata: { candidatesTokenCount: 40 } });
+}
+
+async function limits(requests: Request[]) {
+	return Promise.all(requests.map(async request => (await request.json<any>()).generationConfig.maxOutputTokens));
+}
+
+describe('shared output-token budget', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('lowers the continuation limit to the remaining budget and stops when it is used up (non-streaming)', async () => {
+		const requests = mockUpstream((_, call) => Response.json(budgetedAttempt(call)));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', {
+			headers: HEADERS,
+			json: geminiRequest({ generationConfig: { maxOutputTokens: 100, thinkingConfig: { thinkingBudget: 0 } } }),
+		}, { MAX_RETRIES: '5' });
+		const result = (await response.json<any>()).candidates[0];
+
+		expect(await limits(requests)).toEqual([100, 40]);
+		expect(result.finishReason).toBe('MAX_TOKENS');
+		expect(formalText(result.content.parts)).toBe('The first sixty tokens, and the rest');
+	});
+
+	it('lowers the continuation limit to the remaining budget and stops when it is used up (streaming)', async () => {
+		const requests = mockUpstream((_, call) => sseResponse([budgetedAttempt(call)]));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse', {
+			headers: HEADERS,
+			json: geminiRequest({ generationConfig: { maxOutputTokens: 100, thinkingConfig: { thinkingBudget: 0 } } }),
+		}, { MAX_RETRIES: '5' });
+		const payloads = parseSSE(await response.text());
+
+		expect(await limits(requests)).toEqual([100, 40]);
+		expect(payloads[payloads.length - 1].candidates[0].finishReason).toBe('MAX_TOKENS');
+		expect(streamedText(payloads).endsWith('and the rest')).toBe(true);
+	});
+
+	it('estimates usage from the text when the upstream reports none', async () => {
+		const requests = mockUpstream((_, call) =>
+			Response.json(geminiJson([{ parts: [{ text: call === 1 ? 'x'.repeat(200) : 'done.[RESPONSE_FINISHED]' }], finishReason: 'STOP' }])),
+		);
+		await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', {
+			headers: HEADERS,
+			json: geminiRequest({ generationConfig: { maxOutputTokens: 1000, thinkingConfig: { thinkingBudget: 0 } } }),
+		});
+		const [first, second] = await limits(requests);
+
+		expect(first).toBe(1000);
+		expect(second).toBeLessThan(1000);
+		expect(second).toBeGreaterThan(0);
+	});
+
+	it('shares the budget across structured-output continuations', async () => {
+		const requests = mockUpstream((_, call) =>
+			Response.json(geminiJson([{ parts: [{ text: call === 1 ? '{"a": "xx' : 'yy' }], finishReason: 'STOP' }], { usageMetadata: { candidatesTokenCount: 30 } })),
+		);
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', {
+			headers: HEADERS,
+			json: geminiRequest({ generationConfig: { maxOutputTokens: 50, responseMimeType: 'application/json', responseSchema: { type: 'OBJECT' } } }),
+		}, { MAX_RETRIES: '5' });
+		const result = (await response.json<any>()).candidates[0];
+
+		expect(await limits(requests)).toEqual([50, 20]);
+		expect(result.finishReason).toBe('MAX_TOKENS');
+		expect(formalText(result.content.parts)).toBe('{"a": "xxyy');
+	});
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, callWorker, formalText, geminiRequest } from './helpers';
+
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+const VARS = {
+	BEGIN_TOKEN: '<<GO>>',
+	FINISHED_TOKEN: '<<END>>',
+	BEGIN_TOKEN_PROMPT: 'Start with {{BEGIN_TOKEN}}.',
+	FINISH_TOKEN_PROMPT: 'End with {{FINISHED_TOKEN}}.',
+};
+
+function mockCustomTokens(call = 1) {
+	return mockUpstream((_, n) =>
+		Response.json(geminiJson([{ parts: [{ text: 't\n' }, { text: n < call ? '<<GO>>\nhello ' : '<<GO>>\nhello<<END>>' }], finishReason: 'STOP' }])),
+	);
+}
+
+function systemText(body: any) {
+	return body.systemInstruction.parts.map((part: any) => part.text).join('|');
+}
+
+describe('configurable protocol', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('fills the token placeholders in the prompt templates and cleans the configured tokens', async () => {
+		const requests = mockCustomTokens();
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: geminiRequest() }, VARS);
+
+		expect(formalText((await response.json<any>()).candidates[0].content.parts)).toBe('hello');
+		expect(requests).toHaveLength(1);
+		const system = systemText(await requests[0].json<any>());
+		expect(system).toContain('Start with <<GO>>.');
+		expect(system).toContain('End with <<END>>.');
+		expect(system).not.toContain('[RESPONSE_');
+	});
+
+	it('treats output without the configured finish token as truncated', async () => {
+		const requests = mockCustomTokens(2);
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: geminiRequest() }, VARS);
+
+		expect(requests).toHaveLength(2);
+		expect(response.status).toBe(200);
+	});
+
+	it('reads templates from PROTOCOL_KV over the environment', async () => {
+		const requests = mockCustomTokens();
+		const kv = { get: async (key: string) => (key === 'FINISH_TOKEN_PROMPT' ? 'Finish with {{FINISHED_TOKEN}}, always.' : null) };
+		await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: geminiRequest() }, { ...VARS, PROTOCOL_KV: kv });
+
+		const system = systemText(await requests[0].json<any>());
+		expect(system).toContain('Finish with <<END>>, always.');
+		expect(system).toContain('Start with <<GO>>.');
+	});
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { getRetryAfterMs, computeBackoffDelay } from '../src/upstream.js';
+import { mockUpstream, geminiJson, callWorker, geminiRequest } from './helpers';
+
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+const REQUEST = geminiRequest({ generationConfig: { thinkingConfig: { thinkingBudget: 0 } } });
+const POLICY = { baseDelayMs: 100, multiplier: 2, maxDelayMs: 1000, jitter: false };
+
+function retryInfoBody(retryDelay: string) {
+	return JSON.stringify({ error: { code: 429, details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay }] } });
+}
+
+describe('getRetryAfterMs', () => {
+	it('reads Retry-After in seconds', () => {
+		expect(getRetryAfterMs(new Response(null, { headers: { 'Retry-After': '3' } }), '')).toBe(3000);
+	});
+
+	it('reads Retry-After as an HTTP date', () => {
+		const date = new Date(Date.now() + 10_000).toUTCString();
+		const delay = getRetryAfterMs(new Response(null, { headers: { 'Retry-After': date } }), '')!;
+		expect(delay).toBeGreaterThan(8_000);
+		expect(delay).toBeLessThanOrEqual(10_000);
+	});
+
+	it('reads the RetryInfo detail of a Google error body, also in array form', () => {
+		expect(getRetryAfterMs(new Response(null), retryInfoBody('1.5s'))).toBe(1500);
+		expect(getRetryAfterMs(new Response(null), `[${retryInfoBody('2s')}]`)).toBe(2000);
+	});
+
+	it('returns null without a hint', () => {
+		expect(getRetryAfterMs(new Response(null), 'not json')).toBeNull();
+	});
+});
+
+describe('computeBackoffDelay', () => {
+	it('grows exponentially up to the max delay', () => {
+		expect([1, 2, 3, 4, 5].map(retry => computeBackoffDelay(POLICY, retry))).toEqual([100, 200, 400, 800, 1000]);
+	});
+
+	it('keeps jittered delays between zero and the exponential delay', () => {
+		for (let i = 0; i < 50; i++) {
+			const delay = computeBackoffDelay({ ...POLICY, jitter: true }, 3);
+			expect(delay).toBeGreaterThanOrEqual(0);
+			expect(delay).toBeLessThanOrEqual(400);
+		}
+	});
+
+	it('waits at least as long as the upstream hint', () => {
+		expect(computeBackoffDelay({ ...POLICY, jitter: true }, 1, 700)).toBe(700);
+	});
+
+	it('honours a hint above the max delay', () => {
+		expect(computeBackoffDelay(POLICY, 1, 5000)).toBe(5000);
+	});
+});
+
+describe('retry hints in the handlers', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('waits for the RetryInfo delay before the next attempt', async () => {
+		const started: number[] = [];
+		mockUpstream((_, call) => {
+			started.push(Date.now());
+			return call === 1
+				? new Response(retryInfoBody('0.2s'), { status: 429 })
+				: Response.json(geminiJson([{ parts: [{ text: 'ok[RESPONSE_FINISHED]' }], finishReason: 'STOP' }]));
+		});
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST });
+
+		expect(response.status).toBe(200);
+		expect(started[1] - started[0]).toBeGreaterThanOrEqual(150);
+	});
+
+	it('gives up at once when the hint exceeds RETRY_AFTER_MAX_MS', async () => {
+		const requests = mockUpstream(() => new Response('{"error":{"code":429}}', { status: 429, headers: { 'Retry-After': '120' } }));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST }, { RETRY_AFTER_MAX_MS: '1000' });
+
+		expect(response.status).toBe(429);
+		expect(requests).toHaveLength(1);
+	});
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { repairContinuationSeam } from '../src/core.js';
+import { buildProtocol } from '../src/utils.js';
+import { mockUpstream, geminiJson, sseResponse, partsToPayloads, callWorker, parseSSE, formalText, streamedText, geminiRequest } from './helpers';
+
+const protocol = buildProtocol({});
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+const PROSE = 'The quick brown fox jumps over the lazy dog. '.repeat(3);
+
+/** The first attempt stops inside a code block; the continuation reopens the fence and repeats its last line. */
+function attemptParts(call: number) {
+	return call === 1
+		? [
+				{ text: 't\n' },
+				{ text: `[RESPONSE_BEGIN]\n${PROSE}Here is code:\n\`\`\`js\nconst a = 1;\n` },
+				{ text: 'const b = 2;\n' },
+				{ text: 'const c' },
+			]
+		: [{ text: '[RESPONSE_BEGIN]\n```js\nconst c' }, { text: ' = 3;\n```\nDone.[RESPONSE_FINISHED]' }];
+}
+
+describe('repairContinuationSeam', () => {
+	it.each([
+		['drops a repeated sentence', 'I like it. It was fast and', 'It was fast and furious.', ' furious.'],
+		['drops a repeated word after a space', 'in the', ' the end', ' end'],
+		['keeps text that only looks like a repeat', 'in the', 'there', 'there'],
+		['drops a reopened code fence inside an open block', 'code:\n```js\nconst a = 1;\nconst b', '```js\nconst b = 2;\n```', ' = 2;\n```'],
+		['does not double a space', 'word ', ' next', 'next'],
+		['keeps leading newlines', 'done.', '\n\nNext paragraph', '\n\nNext paragraph'],
+		['removes protocol tokens mid-stream', 'abc', '[RESPONSE_BEGIN]\nabc more[RESPONSE_FINISHED] tail[RESPONSE_FINISHED]', ' more tail[RESPONSE_FINISHED]'],
+		['handles text without spaces', '我们今天去公园玩，天气很', '天气很好。', '好。'],
+		['drops a restarted markdown list item', '- item', '- item two', ' two'],
+	])('%s', (_, previous, continuation, expected) => {
+		expect(repairContinuationSeam(previous, continuation, protocol)).toBe(expected);
+	});
+});
+
+describe('seam repair in the handlers', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('stitches non-streaming continuations without the repeated code fence', async () => {
+		mockUpstream((_, call) => Response.json(geminiJson([{ parts: attemptParts(call), finishReason: 'STOP' }])));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: geminiRequest() });
+		const parts = (await response.json<any>()).candidates[0].content.parts;
+
+		expect(formalText(parts)).toBe(`${PROSE}Here is code:\n\`\`\`js\nconst a = 1;\nconst b = 2;\nconst c = 3;\n\`\`\`\nDone.`);
+	});
+
+	it('stitches streamed continuations without the repeated code fence', async () => {
+		mockUpstream((_, call) => sseResponse(partsToPayloads(attemptParts(call), call === 1 ? {} : { finishReason: 'STOP' })));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse', { headers: HEADERS, json: geminiRequest() });
+		const text = streamedText(parseSSE(await response.text()));
+
+		expect(text.match(/```js/g)).toHaveLength(1);
+		expect(text).not.toContain('[RESPONSE_BEGIN]');
+		expect(text.endsWith('const c = 3;\n```\nDone.')).toBe(true);
+	});
+
+	it('leaves the seam untouched when SEAM_REPAIR is false', async () => {
+		mockUpstream((_, call) => Response.json(geminiJson([{ parts: attemptParts(call), finishReason: 'STOP' }])));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: geminiRequest() }, { SEAM_REPAIR: 'false' });
+		const text = formalText((await response.json<any>()).candidates[0].content.parts);
+
+		expect(text).toContain('const c[RESPONSE_BEGIN]\n```js\nconst c = 3;');
+	});
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, sseResponse, callWorker, parseSSE, formalText, streamedText, geminiRequest } from './helpers';
+
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+const REQUEST = geminiRequest({ generationConfig: { thinkingConfig: { thinkingBudget: 0 } } });
+const VARS = { STREAM_FIRST_CHUNK_TIMEOUT_MS: '100', STREAM_IDLE_TIMEOUT_MS: '100' };
+const FORWARDED = 'A first line that is long enough to leave the lookahead buffer.\n';
+
+/** An SSE body that sends the given text and then never sends anything again; records whether it was cancelled. */
+function stalledStream(texts: string[], onCancel: () => void) {
+	const chunks = texts.map(text => new TextEncoder().encode(`data: ${JSON.stringify(geminiJson([{ parts: [{ text }] }]))}\n\n`));
+	return new Response(
+		new ReadableStream({
+			pull(controller) {
+				const chunk = chunks.shift();
+				if (chunk) controller.enqueue(chunk);
+				return chunk ? undefined : new Promise(() => {});
+			},
+			cancel: onCancel,
+		}),
+	);
+}
+
+const FINISH = [geminiJson([{ parts: [{ text: 'and the end.[RESPONSE_FINISHED]' }], finishReason: 'STOP' }])];
+
+describe('stalled upstream streams', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('continues after the idle timeout instead of hanging', async () => {
+		let cancelled = false;
+		const requests = mockUpstream((_, call) =>
+			call === 1 ? stalledStream([FORWARDED, 'and a buffered tail long enough to push it out, '], () => { cancelled = true; }) : sseResponse(FINISH),
+		);
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse', { headers: HEADERS, json: REQUEST }, VARS);
+		const text = streamedText(parseSSE(await response.text()));
+
+		expect(requests).toHaveLength(2);
+		expect(cancelled).toBe(true);
+		expect(text.startsWith(FORWARDED)).toBe(true);
+		expect(text.endsWith('and the end.')).toBe(true);
+		expect((await requests[1].json<any>()).contents.at(-1).role).toBe('model');
+	});
+
+	it('retries when no chunk arrives before the first-chunk timeout', async () => {
+		const requests = mockUpstream((_, call) => (call === 1 ? stalledStream([], () => {}) : sseResponse(FINISH)));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse', { headers: HEADERS, json: REQUEST }, VARS);
+
+		expect(requests).toHaveLength(2);
+		expect(streamedText(parseSSE(await response.text()))).toBe('and the end.');
+	});
+});
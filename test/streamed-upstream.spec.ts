@@ -0,0 +1,49 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, sseResponse, callWorker, formalText, geminiRequest } from './helpers';
+
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+const REQUEST = geminiRequest({ generationConfig: { thinkingConfig: { thinkingBudget: 0 } } });
+const VARS = { NON_STREAMING_UPSTREAM: 'stream' };
+
+/** An SSE body that delivers one payload and then fails like a dropped connection. */
+function droppedStream(text: string) {
+	const chunk = new TextEncoder().encode(`data: ${JSON.stringify(geminiJson([{ parts: [{ text }] }]))}\n\n`);
+	let sent = false;
+	return new Response(
+		new ReadableStream({
+			pull(controller) {
+				if (sent) controller.error(new Error('connection reset'));
+				else controller.enqueue(chunk);
+				sent = true;
+			},
+		}),
+	);
+}
+
+describe('streamed upstream for non-streaming requests', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('calls streamGenerateContent upstream and answers with one generateContent JSON', async () => {
+		const requests = mockUpstream(() =>
+			sseResponse([geminiJson([{ parts: [{ text: 'One, ' }] }]), geminiJson([{ parts: [{ text: 'two.[RESPONSE_FINISHED]' }], finishReason: 'STOP' }])]),
+		);
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST }, VARS);
+		const json = await response.json<any>();
+
+		expect(new URL(requests[0].url).pathname).toBe('/v1beta/models/gemini-2.5-pro:streamGenerateContent');
+		expect(new URL(requests[0].url).searchParams.get('alt')).toBe('sse');
+		expect(response.headers.get('Content-Type')).toContain('application/json');
+		expect(formalText(json.candidates[0].content.parts)).toBe('One, two.');
+		expect(json.candidates[0].finishReason).toBe('STOP');
+	});
+
+	it('carries the text received before a dropped connection into the continuation', async () => {
+		const requests = mockUpstream((_, call) =>
+			call === 1 ? droppedStream('Salvaged part, ') : sseResponse([geminiJson([{ parts: [{ text: 'then the end.[RESPONSE_FINISHED]' }], finishReason: 'STOP' }])]),
+		);
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST }, VARS);
+
+		expect(formalText((await response.json<any>()).candidates[0].content.parts)).toBe('Salvaged part, then the end.');
+		expect((await requests[1].json<any>()).contents.at(-1)).toEqual({ role: 'model', parts: [{ text: 'Salvaged part, ' }] });
+	});
+});
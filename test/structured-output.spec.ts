@@ -0,0 +1,84 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, callWorker, parseSSE, formalText, geminiRequest } from './helpers';
+
+const SCHEMA = {
+	type: 'OBJECT',
+	properties: { name: { type: 'STRING' }, age: { type: 'INTEGER' } },
+	required: ['name', 'age'],
+};
+const REQUEST = geminiRequest({ generationConfig: { responseMimeType: 'application/json', responseSchema: SCHEMA } });
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+
+function jsonText(text: string) {
+	return Response.json(geminiJson([{ parts: [{ text }], finishReason: 'STOP' }]));
+}
+
+describe('structured output', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('continues truncated JSON with the partial document prefilled', async () => {
+		const requests = mockUpstream((_, call) => jsonText(call === 1 ? '{"name": "Al' : 'ice", "age": 3}'));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST });
+		const json = await response.json<any>();
+
+		expect(response.status).toBe(200);
+		expect(JSON.parse(formalText(json.candidates[0].content.parts))).toEqual({ name: 'Alice', age: 3 });
+		expect(requests).toHaveLength(2);
+		const retryBody = await requests[1].json<any>();
+		expect(retryBody.contents.at(-1)).toEqual({ role: 'model', parts: [{ text: '{"name": "Al' }] });
+	});
+
+	it('regenerates from scratch when the JSON parses but fails the schema', async () => {
+		const requests = mockUpstream((_, call) => jsonText(call === 1 ? '{"name": "Alice"}' : '{"name": "Alice", "age": 3}'));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST });
+		const json = await response.json<any>();
+
+		expect(JSON.parse(formalText(json.candidates[0].content.parts))).toEqual({ name: 'Alice', age: 3 });
+		expect(requests).toHaveLength(2);
+		expect((await requests[1].json<any>()).contents.at(-1).role).toBe('user');
+	});
+
+	it('returns an explicit error instead of invalid JSON after max retries', async () => {
+		const requests = mockUpstream(() => jsonText('{"name": 42, "age": 3}'));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST }, { MAX_RETRIES: '2' });
+		const json = await response.json<any>();
+
+		expect(response.status).toBe(502);
+		expect(json.error.details.errors.length).toBeGreaterThan(0);
+		expect(requests).toHaveLength(3);
+	});
+
+	it('validates streaming requests upstream with generateContent and sends one complete event', async () => {
+		const requests = mockUpstream((_, call) => jsonText(call === 1 ? '{"name": "Bo' : 'b", "age": 7}'));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse', { headers: HEADERS, json: REQUEST });
+		const payloads = parseSSE(await response.text());
+
+		expect(payloads).toHaveLength(1);
+		expect(JSON.parse(formalText(payloads[0].candidates[0].content.parts))).toEqual({ name: 'Bob', age: 7 });
+		expect(requests.map(request => new URL(request.url).pathname)).toEqual([
+			'/v1beta/models/gemini-2.5-pro:generateContent',
+			'/v1beta/models/gemini-2.5-pro:generateContent',
+		]);
+	});
+
+	it.each([
+		['non-streaming', '/v1beta/models/gemini-2.5-pro:generateContent'],
+		['streaming', '/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse'],
+	])('rejects %s requests with more than one candidate', async (_, path) => {
+		const requests = mockUpstream(() => jsonText('{"name": "Alice", "age": 3}'));
+		const json = geminiRequest({ generationConfig: { responseMimeType: 'application/json', responseSchema: SCHEMA, candidateCount: 2 } });
+		const response = await callWorker(path, { headers: HEADERS, json });
+
+		expect(response.status).toBe(400);
+		expect((await response.json<any>()).error.message).toContain('candidateCount');
+		expect(requests).toHaveLength(0);
+	});
+
+	it('sends the request through unchanged in passthrough mode', async () => {
+		const requests = mockUpstream(() => jsonText('{"name": "Al'));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST }, { STRUCTURED_OUTPUT_MODE: 'passthrough' });
+
+		expect(formalText((await response.json<any>()).candidates[0].content.parts)).toBe('{"name": "Al');
+		expect(requests).toHaveLength(1);
+	});
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { mockUpstream, geminiJson, sseResponse, callWorker, parseSSE, geminiRequest } from './helpers';
+
+const HEADERS = { 'X-Goog-Api-Key': 'k' };
+const REQUEST = geminiRequest({ generationConfig: { thinkingConfig: { thinkingBudget: 0 } } });
+const USAGE = [
+	{ promptTokenCount: 10, candidatesTokenCount: 5, thoughtsTokenCount: 2, cachedContentTokenCount: 4, totalTokenCount: 17 },
+	{ promptTokenCount: 16, candidatesTokenCount: 7, thoughtsTokenCount: 1, totalTokenCount: 24 },
+];
+
+function attempt(call: number, finished = call > 1) {
+	return geminiJson([{ parts: [{ text: finished ? 'end.[RESPONSE_FINISHED]' : 'Start and ' }], finishReason: 'STOP' }], { usageMetadata: USAGE[call - 1] });
+}
+
+const TOTALS = { promptTokenCount: 26, candidatesTokenCount: 12, thoughtsTokenCount: 3, cachedContentTokenCount: 4, totalTokenCount: 41 };
+const ATTEMPTS = [
+	{ attempt: 1, ...USAGE[0] },
+	{ attempt: 2, ...USAGE[1] },
+];
+
+describe('usageMetadata across attempts', () => {
+	afterEach(() => vi.restoreAllMocks());
+
+	it('adds up every attempt and lists them per attempt (non-streaming)', async () => {
+		mockUpstream((_, call) => Response.json(attempt(call)));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST });
+		const json = await response.json<any>();
+
+		expect(json.usageMetadata).toEqual(TOTALS);
+		expect(json.antiTruncationUsage.attempts).toEqual(ATTEMPTS);
+	});
+
+	it('sends the totals on the final streamed payload', async () => {
+		mockUpstream((_, call) => sseResponse([attempt(call)]));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:streamGenerateContent?alt=sse', { headers: HEADERS, json: REQUEST });
+		const payloads = parseSSE(await response.text());
+		const last = payloads[payloads.length - 1];
+
+		expect(last.usageMetadata).toEqual(TOTALS);
+		expect(last.antiTruncationUsage.attempts).toEqual(ATTEMPTS);
+	});
+
+	it('includes the totals when the retries run out', async () => {
+		mockUpstream((_, call) => Response.json(attempt(call, false)));
+		const response = await callWorker('/v1beta/models/gemini-2.5-pro:generateContent', { headers: HEADERS, json: REQUEST }, { MAX_RETRIES: '1' });
+		const json = await response.json<any>();
+
+		expect(json.usageMetadata.promptTokenCount).toBe(26);
+		expect(json.antiTruncationUsage.attempts).toHaveLength(2);
+	});
+});
@@ -4,7 +4,19 @@ export default defineWorkersConfig({
 	test: {
 		poolOptions: {
 			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
+				// wrangler.toml is created from wrangler.toml.example per deployment, so the test worker is configured inline
+				main: './src/index.js',
+				miniflare: {
+					compatibilityDate: '2024-04-05',
+					compatibilityFlags: ['enable_request_signal'],
+					bindings: {
+						LOG_LEVEL: 'silent',
+						ERROR_BACKOFF_BASE_MS: '0',
+					},
+					durableObjects: {
+						METRICS: 'MetricsStore',
+					},
+				},
 			},
 		},
 	},